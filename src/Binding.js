@@ -0,0 +1,308 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// DATA BINDING — feed a gauge from a stream
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ES_CLOSED = 2;   // EventSource.CLOSED
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Connects a message source to a gauge's setters. Created by Gauge.bind().
+ *
+ * Sources:
+ *   - async iterable (async generator, ReadableStream, ...)
+ *   - WebSocket / EventSource / any EventTarget (listens for mapping.event,
+ *     'message' by default; the payload is event.data, else event.detail)
+ *   - subscribe function: (emit) => unsubscribe
+ *   - factory function returning an async iterable: () => iterable, called
+ *     again to reconnect
+ *
+ * String payloads are parsed as JSON unless mapping.parse is given.
+ * Selectors are a dot path ('engine.rpm') or a function (message) => value;
+ * an undefined result leaves that target unchanged.
+ */
+export default class Binding {
+  /**
+   * @param {Gauge} gauge
+   * @param {*} source
+   * @param {object} [mapping]
+   * @param {string|function} [mapping.value]  Main value (default: the message
+   *   itself when it is a number)
+   * @param {Array} [mapping.needles]  Selectors by needle index (0 is the main value)
+   * @param {Array} [mapping.rings]  Selectors by ring index
+   * @param {Array} [mapping.complications]  Selectors by complication index
+   * @param {object} [mapping.lamps]  { [lamp id]: selector }; booleans map to 'on'/'off'
+   * @param {function} [mapping.parse]  (payload) => message
+   * @param {string} [mapping.event='message']  Event name for EventTarget sources
+   * @param {number} [mapping.throttle=0]  Minimum ms between updates; the latest
+   *   value for each target is applied at the end of the interval
+   * @param {boolean|object} [mapping.reconnect=false]  Reconnect WebSocket,
+   *   EventSource, iterable factories and re-iterable sources after they
+   *   close: true, or { delay = 1000, maxDelay = 30000 } (ms, doubling per attempt)
+   * @param {function(Error, *)} [mapping.onError]  Called with the error and
+   *   payload when parsing or applying a message throws (default: console.error).
+   *   The binding stays connected.
+   * @param {function(string, object)} emit  Event sink for gauge:disconnect / gauge:reconnect
+   */
+  constructor(gauge, source, mapping = {}, emit = () => {}) {
+    this._gauge = gauge;
+    this._mapping = mapping;
+    this._emit = emit;
+
+    this._pending = new Map();  // target key → () => void
+    this._lastFlush = -Infinity;
+    this._flushTimer = null;
+    this._retryTimer = null;
+    this._attempt = 0;
+    this._cleanup = null;
+    this._owned = false;  // sources created on reconnect are closed on unbind
+
+    this.active = true;
+    this.onunbind = null;
+
+    this._connect(source);
+  }
+
+  // Stop listening and drop pending updates. Sources passed in by the caller
+  // are left open.
+  unbind() {
+    if (!this.active) return;
+    this.active = false;
+
+    clearTimeout(this._flushTimer);
+    clearTimeout(this._retryTimer);
+    this._pending.clear();
+    if (this._cleanup) this._cleanup();
+    this._cleanup = null;
+
+    if (this.onunbind) this.onunbind(this);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // SOURCES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  _connect(source) {
+    if (typeof source === 'function') {
+      const result = source(payload => this._handle(payload));
+      if (result && typeof result[Symbol.asyncIterator] === 'function') {
+        this._iterate(result, source);
+      } else {
+        this._cleanup = typeof result === 'function' ? result : null;
+      }
+    } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      this._iterate(source);
+    } else if (source && typeof source.addEventListener === 'function') {
+      this._listen(source);
+    } else {
+      throw new TypeError('Gauge.bind: source must be an async iterable, EventTarget or subscribe function');
+    }
+  }
+
+  // `factory` is the function that produced `iterable`, if any. Without one,
+  // an iterable that is its own iterator (an async generator) can't be
+  // restarted, so it is not reconnected.
+  async _iterate(iterable, factory = null) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const source = factory || (iterator !== iterable ? iterable : null);
+    this._cleanup = () => {
+      // Closing can reject (e.g. a generator's finally block throwing); the
+      // binding is gone by then, so there is nobody left to tell
+      if (typeof iterator.return === 'function') Promise.resolve(iterator.return()).catch(() => {});
+    };
+
+    try {
+      while (this.active) {
+        const { value, done } = await iterator.next();
+        if (done || !this.active) break;
+        this._handle(value);
+      }
+      if (this.active) this._disconnected(source, null);
+    } catch (error) {
+      if (this.active) this._disconnected(source, error);
+    }
+  }
+
+  _listen(target) {
+    const eventName = this._mapping.event || 'message';
+
+    const onMessage = (e) => {
+      this._handle(e.data !== undefined ? e.data : e.detail !== undefined ? e.detail : e);
+    };
+    const onClose = (e) => this._disconnected(target, e);
+    // EventSource retries by itself; only a CLOSED state means it gave up
+    const onError = (e) => {
+      if (isEventSource(target) && target.readyState === ES_CLOSED) this._disconnected(target, e);
+    };
+
+    target.addEventListener(eventName, onMessage);
+    target.addEventListener('close', onClose);
+    target.addEventListener('error', onError);
+
+    const owned = this._owned;
+    this._cleanup = () => {
+      target.removeEventListener(eventName, onMessage);
+      target.removeEventListener('close', onClose);
+      target.removeEventListener('error', onError);
+      if (owned && typeof target.close === 'function') target.close();
+    };
+  }
+
+  _disconnected(source, error) {
+    if (this._cleanup) this._cleanup();
+    this._cleanup = null;
+    this._emit('gauge:disconnect', { error: error || null });
+
+    const options = reconnectOptions(this._mapping.reconnect);
+    const reopen = options && reopener(source);
+    if (!reopen || !this.active) return;
+
+    const delay = Math.min(options.maxDelay, options.delay * Math.pow(2, this._attempt));
+    this._attempt++;
+    this._retryTimer = setTimeout(() => {
+      if (!this.active) return;
+      this._emit('gauge:reconnect', { attempt: this._attempt });
+      try {
+        const next = reopen();
+        if (next !== source) this._owned = true;
+        this._connect(next);
+      } catch (e) {
+        this._disconnected(source, e);
+      }
+    }, delay);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // MESSAGES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // A message that fails to parse or apply is reported and skipped; it says
+  // nothing about the source, which keeps running
+  _handle(payload) {
+    try {
+      this._receive(payload);
+    } catch (error) {
+      this._reportError(error, payload);
+    }
+  }
+
+  _reportError(error, payload) {
+    if (typeof this._mapping.onError === 'function') {
+      this._mapping.onError(error, payload);
+    } else {
+      console.error('Gauge.bind: could not apply message', error);
+    }
+  }
+
+  _receive(payload) {
+    if (!this.active) return;
+    this._attempt = 0;
+
+    const mapping = this._mapping;
+    let message = payload;
+    if (typeof mapping.parse === 'function') {
+      message = mapping.parse(payload);
+    } else if (typeof payload === 'string') {
+      try {
+        message = JSON.parse(payload);
+      } catch {
+        // Not JSON: selectors see the raw string
+      }
+    }
+
+    const gauge = this._gauge;
+    const queue = (key, selector, apply) => {
+      const value = select(message, selector);
+      if (value !== undefined && value !== null) this._pending.set(key, () => apply(value));
+    };
+
+    const valueSelector = mapping.value !== undefined
+      ? mapping.value
+      : typeof message === 'number' ? (m) => m : undefined;
+    queue('value', valueSelector, v => gauge.setValue(v));
+
+    // Needle 0 is the main value
+    (mapping.needles || []).forEach((selector, i) => {
+      queue(i === 0 ? 'value' : `needle:${i}`, selector, v => gauge.setNeedleValue(i, v));
+    });
+    (mapping.rings || []).forEach((selector, i) => {
+      queue(`ring:${i}`, selector, v => gauge.setRingValue(i, v));
+    });
+    (mapping.complications || []).forEach((selector, i) => {
+      queue(`complication:${i}`, selector, v => gauge.setComplicationValue(i, v));
+    });
+    for (const [id, selector] of Object.entries(mapping.lamps || {})) {
+      queue(`lamp:${id}`, selector, v => gauge.setLamp(id, v === true ? 'on' : v === false ? 'off' : v));
+    }
+
+    this._schedule();
+  }
+
+  _schedule() {
+    if (this._pending.size === 0) return;
+
+    const wait = (this._mapping.throttle || 0) - (now() - this._lastFlush);
+    if (wait <= 0) {
+      this._flush();
+    } else if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => {
+        this._flushTimer = null;
+        this._flush();
+      }, wait);
+    }
+  }
+
+  _flush() {
+    if (!this.active) return;
+    this._lastFlush = now();
+
+    const updates = [...this._pending.values()];
+    this._pending.clear();
+    for (const apply of updates) {
+      try {
+        apply();
+      } catch (error) {
+        this._reportError(error, undefined);
+      }
+    }
+  }
+}
+
+function select(message, selector) {
+  if (typeof selector === 'function') return selector(message);
+  if (typeof selector !== 'string' || message == null) return undefined;
+
+  let value = message;
+  for (const key of selector.split('.')) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function reconnectOptions(reconnect) {
+  if (!reconnect) return null;
+  return { delay: 1000, maxDelay: 30000, ...(typeof reconnect === 'object' ? reconnect : {}) };
+}
+
+function isEventSource(source) {
+  return typeof source.url === 'string' && 'withCredentials' in source;
+}
+
+// How to reopen a closed source, or null when it cannot be reopened.
+// Iterable factories and re-iterable sources arrive here; one-shot
+// iterators were already turned into null by _iterate.
+function reopener(source) {
+  if (source && (typeof source === 'function' || typeof source[Symbol.asyncIterator] === 'function')) {
+    return () => source;
+  }
+  if (source && typeof source.url === 'string' && typeof source.constructor === 'function') {
+    if (isEventSource(source)) {
+      return () => new source.constructor(source.url, { withCredentials: source.withCredentials });
+    }
+    if ('binaryType' in source) {  // WebSocket
+      return () => new source.constructor(source.url, source.protocol || undefined);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,166 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// CLOCK — time of day and chronograph for clock hands
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MS_PER_DAY = 86400000;
+
+// One revolution of each hand, in the hand's own units
+export const HAND_PERIODS = {
+  hour: 12,
+  minute: 60,
+  second: 60,
+  elapsedSeconds: 60,
+  elapsedMinutes: 60,
+  elapsedHours: 12,
+};
+
+/**
+ * Reads clock hands from a time source. Time of day comes from
+ * `timeSource` (() => Date | ms, default Date.now) in `timezone` (IANA name,
+ * default local time). The chronograph counts elapsed time on the same
+ * source, so an injected source drives both.
+ */
+export default class Clock {
+  constructor(options = {}) {
+    this.running = false;
+    this.laps = [];
+    this._accumulated = 0;  // ms counted before the last start
+    this._startedAt = 0;
+
+    this.configure(options);
+  }
+
+  // Apply options from config.clock (safe to call at any time)
+  configure(options) {
+    this.timeSource = options.timeSource || null;
+    this.seconds = options.seconds || 'sweep';
+
+    const timezone = options.timezone || null;
+    if (timezone === this.timezone) return;
+    this.timezone = timezone;
+    this._zoneFormat = null;
+    this._offsetMinute = null;
+    if (!timezone) return;
+    try {
+      this._zoneFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+      });
+    } catch {
+      console.warn(`Gauge: unknown timezone "${timezone}", using local time`);
+    }
+  }
+
+  // Current time in ms from the time source
+  now() {
+    const time = this.timeSource ? this.timeSource() : Date.now();
+    return time instanceof Date ? time.getTime() : Number(time);
+  }
+
+  /**
+   * Value of a clock hand at `time` (ms), in the hand's own units:
+   *   hour 0-12, minute 0-60, second 0-60     time of day
+   *   elapsedSeconds 0-60                      chronograph seconds
+   *   elapsedMinutes, elapsedHours             whole minutes/hours counted
+   * Seconds hands read whole seconds when `seconds` is 'tick'.
+   * @param {string} hand
+   * @param {number} time
+   * @returns {number}
+   */
+  read(hand, time) {
+    const tick = this.seconds === 'tick';
+    if (hand === 'elapsedSeconds') {
+      const seconds = (this.elapsed(time) / 1000) % 60;
+      return tick ? Math.floor(seconds) : seconds;
+    }
+    if (hand === 'elapsedMinutes') return Math.floor(this.elapsed(time) / 60000);
+    if (hand === 'elapsedHours') return Math.floor(this.elapsed(time) / 3600000);
+
+    const ms = this._timeOfDay(time);
+    if (hand === 'hour') return (ms / 3600000) % 12;
+    if (hand === 'minute') return (ms / 60000) % 60;
+    const seconds = (ms / 1000) % 60;
+    return tick ? Math.floor(seconds) : seconds;
+  }
+
+  // Fraction of a revolution for a hand at `time`
+  fraction(hand, time) {
+    const period = HAND_PERIODS[hand];
+    return (this.read(hand, time) % period) / period;
+  }
+
+  // True for hands that move in steps (ticking seconds, chronograph counters)
+  steps(hand) {
+    if (hand === 'elapsedMinutes' || hand === 'elapsedHours') return true;
+    return this.seconds === 'tick' && (hand === 'second' || hand === 'elapsedSeconds');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CHRONOGRAPH
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Elapsed ms at `time`
+  elapsed(time) {
+    return this._accumulated + (this.running ? time - this._startedAt : 0);
+  }
+
+  start(time) {
+    if (this.running) return;
+    this._startedAt = time;
+    this.running = true;
+  }
+
+  stop(time) {
+    if (!this.running) return;
+    this._accumulated = this.elapsed(time);
+    this.running = false;
+  }
+
+  /**
+   * Record a lap at `time`.
+   * @returns {{ number: number, elapsed: number, lapTime: number }}  ms; lapTime
+   *   is the time since the previous lap
+   */
+  lap(time) {
+    const elapsed = this.elapsed(time);
+    const previous = this.laps.length ? this.laps[this.laps.length - 1].elapsed : 0;
+    const lap = { number: this.laps.length + 1, elapsed, lapTime: elapsed - previous };
+    this.laps.push(lap);
+    return lap;
+  }
+
+  reset() {
+    this.running = false;
+    this._accumulated = 0;
+    this.laps = [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // TIME ZONES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // ms since midnight in the clock's timezone. The zone offset is looked up
+  // once a minute, which catches daylight-saving changes.
+  _timeOfDay(time) {
+    const minute = Math.floor(time / 60000);
+    if (minute !== this._offsetMinute) {
+      this._offset = this._zoneOffset(time);
+      this._offsetMinute = minute;
+    }
+    const local = time + this._offset;
+    return ((local % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY;
+  }
+
+  // Local time minus UTC, in ms
+  _zoneOffset(time) {
+    if (!this._zoneFormat) return -new Date(time).getTimezoneOffset() * 60000;
+
+    const parts = {};
+    for (const { type, value } of this._zoneFormat.formatToParts(new Date(time))) {
+      parts[type] = Number(value);
+    }
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(time / 1000) * 1000;
+  }
+}
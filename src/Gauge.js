@@ -1,6 +1,60 @@
-import { presets, defaults } from './presets.js';
+import { resolveConfig, normalizeConfig, resizeValues, resizeLampStates, needleTurns } from './config.js';
+import { valueToAngle, wrapValue } from './scale.js';
 import NeedlePhysics from './NeedlePhysics.js';
-import GaugeRenderer from './GaugeRenderer.js';
+import scheduler from './Scheduler.js';
+import { STATIC_CONFIG_KEYS } from './GaugeRenderer.js';
+import { canvasSize, createRenderer } from './renderers.js';
+import SvgContext from './SvgContext.js';
+import { lampIcons, LAMP_STATES } from './lamps.js';
+import ThresholdTracker from './ThresholdTracker.js';
+import Odometer from './Odometer.js';
+import Clock, { HAND_PERIODS } from './Clock.js';
+import Binding from './Binding.js';
+import { createFilterChain } from './filters.js';
+import ValueHistory from './ValueHistory.js';
+import ValueAnimator, { animationSpec } from './ValueAnimator.js';
+import { colorScheme, readThemeVars } from './themes.js';
+import { validateConfig } from './validate.js';
+
+// Deep copy with functions removed, for postMessage (structured clone rejects them).
+// Paths of removed options are added to `dropped`; derived _keys are rebuilt
+// in the worker, so their functions aren't reported.
+function toCloneable(value, dropped = [], path = '') {
+  if (typeof value === 'function') {
+    dropped.push(path || 'a callback');
+    return undefined;
+  }
+  if (Array.isArray(value)) return value.map((item, i) => toCloneable(item, dropped, `${path}[${i}]`));
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      const copied = toCloneable(item, key.startsWith('_') ? [] : dropped, path ? `${path}.${key}` : key);
+      if (typeof item !== 'function') copy[key] = copied;
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Function-valued options (onDraw, format callbacks, custom easing,
+// clock.timeSource, ...) can't reach the worker, which uses its defaults
+function warnDropped(dropped, where) {
+  if (dropped.length > 0) {
+    console.warn(`Gauge: ${dropped.join(', ')} ${dropped.length === 1 ? 'is' : 'are'} ignored in worker mode (${where})`);
+  }
+}
+
+// Structural equality for config values (plain objects, arrays, primitives)
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => isEqual(a[key], b[key]));
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // GAUGE — Pure JS API (no web-component dependency)
@@ -10,23 +64,42 @@ export default class Gauge {
   /**
    * @param {HTMLElement} element  Container element (gauge appends a <canvas> inside)
    * @param {string|object} config  Preset name (e.g. 'speed') or config object
+   * @param {object} [host]  Internal: set by gauge.worker.js when the gauge runs
+   *   in a worker ({ canvas, size, dpi, reducedMotion, onAriaLabel })
    */
-  constructor(element, config) {
-    if (!element || !(element instanceof HTMLElement)) {
+  constructor(element, config, host = null) {
+    if (!host && (!element || !(element instanceof HTMLElement))) {
       throw new TypeError('Gauge requires a valid HTMLElement as the first argument');
     }
     this._element = element;
+    this._host = host;
+    this._worker = null;  // set on the main thread when drawing runs in a worker
 
     // Internal state
     this._value = 0;
     this._targetValue = 0;
-    this._size = null;
-    this._dpi = window.devicePixelRatio || 1;
+    this._size = null;         // shorter side of the container
+    this._rect = null;         // container { width, height }
+    this._dpi = this._currentDpi();
     this._renderer = null;
-    this._physics = null;
-    this._animationId = null;
+    this._physics = null;      // primary needle (needles[0])
+    this._extraNeedles = [];   // { value, physics } for needles[1..]
     this._config = null;
     this._isConnected = false;
+    this._isVisible = true;  // updated by the scheduler's IntersectionObserver
+
+    // Peak/min hold: extremes of setValue() and when they were recorded
+    this._peak = null;  // { max, min, maxTime, minTime }, seeded by the first setValue()
+
+    // Input filter chains by target key, and the unfiltered inputs
+    this._filterChains = new Map();
+    this._raw = { value: undefined, needles: [], rings: [], complications: [] };
+
+    // Live data sources attached with bind()
+    this._bindings = new Set();
+
+    // Zone/threshold crossing events
+    this._tracker = new ThresholdTracker((name, detail) => this._dispatch(name, detail));
 
     // Sweep animation state
     this._isSweeping = false;
@@ -37,8 +110,8 @@ export default class Gauge {
     this._canvas = null;
     this._ctx = null;
 
-    // Resize observer for responsive sizing
-    this._resizeObserver = new ResizeObserver(entries => {
+    // Resize observer for responsive sizing (the worker host is sized by messages)
+    this._resizeObserver = host ? null : new ResizeObserver(entries => {
       for (const entry of entries) {
         this._handleResize(entry.contentRect);
       }
@@ -47,132 +120,464 @@ export default class Gauge {
     // Resolve config
     this._resolveConfig(config);
 
+    // faceStyle 'auto' and { light, dark } themes follow the color scheme live
+    if (!host && typeof matchMedia === 'function') {
+      this._schemeQuery = matchMedia('(prefers-color-scheme: dark)');
+      this._onSchemeChange = () => this.refreshTheme();
+      this._schemeQuery.addEventListener('change', this._onSchemeChange);
+    }
+
     // Initialize synchronously
     this._initializeComponent();
-    this._resizeObserver.observe(this._element);
+    if (this._resizeObserver) {
+      this._resizeObserver.observe(this._element);
+    } else {
+      this._handleResize({ width: host.size, height: host.size });
+    }
     this._isConnected = true;
+    this._trackThresholds(this._targetValue);
+    this._trackRings();
     this._startAnimation();
 
-    this._element.dispatchEvent(new CustomEvent('gauge:ready'));
+    this._dispatch('gauge:ready');
   }
 
   _resolveConfig(config) {
-    if (typeof config === 'string') {
-      if (!presets[config]) {
-        console.warn(`Gauge: unknown preset "${config}", using defaults`);
-      }
-      this._config = { ...defaults, ...presets[config] };
-      this._presetName = config;
-    } else {
-      this._config = { ...defaults, ...config };
-      this._presetName = null;
-    }
-
-    // Normalise digitalDisplay: accept boolean showDigitalValue or object form
-    if (this._config.digitalDisplay && typeof this._config.digitalDisplay === 'object') {
-      this._config._digitalDisplay = { show: true, ...this._config.digitalDisplay };
-    } else if (this._config.showDigitalValue) {
-      this._config._digitalDisplay = { show: true };
-    } else {
-      this._config._digitalDisplay = null;
-    }
+    this._config = resolveConfig(config);
+    this._presetName = typeof config === 'string' ? config : (config && config.preset) || null;
+    this._validate(this._config);
+    if (!this._host) this._readTheme(this._config);
 
     // Initialise secondary value arrays
-    this._ringValues = (this._config.rings || []).map(r => r.value != null ? r.value : r.min || 0);
-    this._complicationValues = (this._config.complications || []).map(c => c.value != null ? c.value : c.min || 0);
+    this._ringValues = resizeValues([], this._config.rings);
+    this._complicationValues = resizeValues([], this._config.complications);
+    this._lampStates = resizeLampStates({}, this._config.lamps);
+    this._odometer = new Odometer(this._config._odometer || {});
+    this._clock = new Clock(this._config._clock || {});
+    this._clockMinute = null;
+    this._histories = [];
+    this._ringAnimators = [];
+    this._complicationAnimators = [];
   }
 
   _initializeComponent() {
-    // Create canvas and append to container
-    this._canvas = document.createElement('canvas');
-    this._canvas.style.width = '100%';
-    this._canvas.style.height = '100%';
-    this._canvas.style.display = 'block';
-    this._canvas.setAttribute('role', 'img');
-    this._canvas.setAttribute('aria-label', `${this._config.label} gauge`);
-    this._element.appendChild(this._canvas);
+    // Set initial value
+    const primary = (this._config.needles || [])[0];
+    const initialValue = primary && primary.value != null ? primary.value : this._config.min;
+    this._targetValue = initialValue;
+    this._syncHistories();
+
+    if (this._host) {
+      this._canvas = this._host.canvas;
+    } else {
+      // Create canvas and append to container
+      this._canvas = document.createElement('canvas');
+      this._canvas.style.width = '100%';
+      this._canvas.style.height = '100%';
+      this._canvas.style.display = 'block';
+      this._canvas.setAttribute('role', 'img');
+      this._canvas.setAttribute('aria-label', `${this._config.label} gauge`);
+      this._element.appendChild(this._canvas);
+
+      // Worker mode: this instance only forwards calls and mirrors state
+      if (this._config.worker && this._startWorker()) {
+        this._syncNeedles();
+        return;
+      }
+    }
 
     this._ctx = this._canvas.getContext('2d');
 
     // Initialize physics
     this._physics = new NeedlePhysics(this._config);
+    if (this._host) {
+      this._physics.reducedMotion = this._host.reducedMotion;
+    }
 
     // Enable vibration for RPM
     if (this._presetName === 'rpm') {
       this._physics.vibrationEnabled = false; // Disabled by default per spec
     }
 
-    // Set initial value
-    const initialValue = this._config.min;
-    this._targetValue = initialValue;
-    this._physics.setTarget(this._valueToAngle(initialValue), true);
+    this._physics.setTarget(this._valueToAngle(initialValue, needleTurns(this._config, 0)), true);
+    this._syncNeedles();
+    this._syncAnimators();
+  }
+
+  // Physics config for needle i: its own stiffness/damping over the gauge's
+  _needleConfig(i) {
+    const needles = this._config.needles;
+    return needles && needles[i] ? { ...this._config, ...needles[i] } : this._config;
+  }
+
+  // Match the secondary needles to config.needles, keeping surviving ones in
+  // motion. A worker-mode proxy tracks their values only (physics is null).
+  // Hands with `turns` take the main value.
+  _syncNeedles() {
+    const needles = this._config.needles || [];
+    const count = Math.max(0, needles.length - 1);
+
+    while (this._extraNeedles.length > count) {
+      const { physics } = this._extraNeedles.pop();
+      if (physics) physics.destroy();
+    }
+    while (this._extraNeedles.length < count) {
+      const i = this._extraNeedles.length + 1;
+      const needle = needles[i];
+      const value = needle.turns ? this._targetValue : needle.value != null ? needle.value : this._config.min;
+      let physics = null;
+      if (this._physics) {
+        physics = new NeedlePhysics(this._needleConfig(i));
+        physics.reducedMotion = this._physics.reducedMotion;
+        physics.setTarget(this._valueToAngle(value, needleTurns(this._config, i)), true);
+      }
+      this._extraNeedles.push({ value, physics });
+    }
+    for (const [, hand] of this._hands()) hand.value = this._targetValue;
+
+    if (!this._physics) return;
+    this._physics.configure(this._needleConfig(0));
+    this._extraNeedles.forEach((needle, i) => needle.physics.configure(this._needleConfig(i + 1)));
+  }
+
+  // Secondary needles with `turns`, as [needle index, needle] pairs
+  _hands() {
+    const needles = this._config.needles || [];
+    return this._extraNeedles
+      .map((needle, i) => [i + 1, needle])
+      .filter(([i]) => needles[i].turns);
+  }
+
+  // Every needle's physics, primary first
+  _allPhysics() {
+    if (!this._physics) return [];
+    return [this._physics, ...this._extraNeedles.map(needle => needle.physics)];
+  }
+
+  // Ring and complication animators, skipping unanimated entries
+  _animators() {
+    return [...this._ringAnimators, ...this._complicationAnimators].filter(Boolean);
+  }
+
+  // Match the animators to each ring's and complication's `animation`. An
+  // animator survives setConfig while its spec and range are unchanged;
+  // otherwise the new one starts from the value currently shown.
+  _syncAnimators() {
+    const sync = (items = [], prev, values, defaultMax) => {
+      for (const old of prev.slice(items.length)) if (old) old.destroy();
+
+      return items.map((item, i) => {
+        const old = prev[i];
+        const spec = animationSpec(item.animation, this._config);
+        const span = (item.max != null ? item.max : defaultMax) - (item.min || 0);
+        if (old && spec && isEqual(old.spec, spec) && old.span === span) return old;
+        if (old) old.destroy();
+        if (!spec) return null;
+
+        const animator = new ValueAnimator(spec, span, old ? old.value : values[i]);
+        animator.reducedMotion = this._physics.reducedMotion;
+        animator.set(values[i]);
+        return animator;
+      });
+    };
+
+    this._ringAnimators = sync(this._config.rings, this._ringAnimators, this._ringValues, this._config.max);
+    this._complicationAnimators = sync(this._config.complications, this._complicationAnimators,
+      this._complicationValues, 1);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // WORKER MODE (main-thread side)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Hand the canvas to a worker running physics and drawing. Returns false
+  // (falling back to main-thread rendering) where that is unsupported.
+  _startWorker() {
+    if (typeof Worker === 'undefined' || !this._canvas.transferControlToOffscreen) {
+      console.warn('Gauge: OffscreenCanvas workers unsupported, rendering on the main thread');
+      return false;
+    }
+
+    // `worker: true` uses the bundled script; a URL string points at a self-hosted copy.
+    // The literal new Worker(new URL(...)) form lets bundlers emit the worker chunk.
+    this._worker = typeof this._config.worker === 'boolean'
+      ? new Worker(new URL('./gauge.worker.js', import.meta.url), { type: 'module' })
+      : new Worker(this._config.worker, { type: 'module' });
+
+    this._worker.onmessage = ({ data }) => {
+      if (data.type === 'event') {
+        this._element.dispatchEvent(new CustomEvent(data.name, { detail: data.detail }));
+      } else if (data.type === 'aria') {
+        this._canvas.setAttribute('aria-label', data.label);
+      }
+    };
+    this._worker.onerror = (e) => console.error('Gauge: worker error', e.message);
+
+    // Reduced-motion preference is only observable on the main thread
+    this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this._onMotionChange = (e) => {
+      this._worker.postMessage({ type: 'reducedMotion', value: e.matches });
+    };
+    this._motionQuery.addEventListener('change', this._onMotionChange);
+
+    const offscreen = this._canvas.transferControlToOffscreen();
+    const dropped = [];
+    this._worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      config: toCloneable(this._config, dropped),
+      dpi: this._dpi,
+      reducedMotion: this._motionQuery.matches
+    }, [offscreen]);
+    warnDropped(dropped, 'config');
+
+    return true;
+  }
+
+  // Mirror a public call into the worker; local state is still updated by the caller
+  _forward(method, args) {
+    if (!this._worker) return;
+    const dropped = [];
+    this._worker.postMessage({ type: 'call', method, args: Array.from(args, arg => toCloneable(arg, dropped)) });
+    warnDropped(dropped, method);
+  }
+
+  _setVisible(visible) {
+    this._isVisible = visible;
+    if (this._worker) this._worker.postMessage({ type: 'visible', visible });
+  }
+
+  _currentDpi() {
+    if (this._host) return this._host.dpi;
+    return globalThis.devicePixelRatio || 1;
+  }
+
+  _dispatch(name, detail) {
+    // In worker mode every event originates in the worker and is relayed
+    if (this._worker) return;
+    this._element.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+
+  _ariaLabel() {
+    if (this._config._clock) {
+      const clock = this._clock;
+      const time = new Date(clock.now()).toLocaleTimeString(undefined, {
+        hour: 'numeric', minute: '2-digit', timeZone: clock._zoneFormat ? clock.timezone : undefined,
+      });
+      const name = this._config.label ? `${this._config.label} clock` : 'Clock';
+      return `${name}, ${time}${this._lampAriaText()}`;
+    }
+
+    const format = this._config._formatValue;
+    const needles = this._config.needles || [];
+    // Hands with `turns` all read the main value
+    if (needles.length < 2 || needles.slice(1).every(needle => needle.turns)) {
+      return `${this._config.label} gauge, current value: ${format(this._targetValue)}${this._lampAriaText()}`;
+    }
+
+    // One "name: value" entry per needle
+    const values = needles.map((needle, i) =>
+      `${needle.label || `needle ${i + 1}`}: ${format(this.getNeedleValue(i))}`);
+    return `${this._config.label} gauge, ${values.join(', ')}${this._lampAriaText()}`;
+  }
+
+  // Lit lamps as an ARIA suffix, e.g. ", warning lamps: Oil pressure on, Left turn signal blinking"
+  _lampAriaText() {
+    const lit = (this._config.lamps || [])
+      .filter(lamp => this._lampStates[lamp.id] !== 'off')
+      .map(lamp => {
+        const icon = lampIcons[lamp.icon || lamp.id];
+        const name = lamp.label || (icon && icon.label) || lamp.id;
+        return `${name} ${this._lampStates[lamp.id] === 'blink' ? 'blinking' : 'on'}`;
+      });
+    return lit.length > 0 ? `, warning lamps: ${lit.join(', ')}` : '';
+  }
+
+  _setAriaLabel(label) {
+    if (this._host) {
+      this._host.onAriaLabel(label);
+    } else if (this._canvas) {
+      this._canvas.setAttribute('aria-label', label);
+    }
   }
 
   _handleResize(rect) {
     const size = Math.min(rect.width, rect.height);
+    const prev = this._rect;
+    this._rect = { width: rect.width, height: rect.height };
 
-    if (size > 0 && (this._size !== size || !this._renderer)) {
+    if (this._worker) {
+      this._size = size;
+      this._worker.postMessage({
+        type: 'resize', width: rect.width, height: rect.height, dpi: this._currentDpi()
+      });
+      return;
+    }
+
+    // Linear gauges also follow the container's aspect ratio
+    const reshaped = this._config.geometry === 'linear' && prev &&
+      (prev.width !== rect.width || prev.height !== rect.height);
+    if (size > 0 && (this._size !== size || reshaped || !this._renderer)) {
       this._size = size;
       this._rebuildRenderer();
+      this._wake();
     }
   }
 
   _rebuildRenderer() {
-    if (!this._size || this._size <= 0) return;
+    if (!this._size || this._size <= 0 || this._worker) return;
 
     // Check for DPI change
-    const currentDpi = window.devicePixelRatio || 1;
+    const currentDpi = this._currentDpi();
     if (currentDpi !== this._dpi) {
       this._dpi = currentDpi;
     }
 
-    // Resize canvas
-    this._canvas.width = this._size * this._dpi;
-    this._canvas.height = this._size * this._dpi;
+    // Resize canvas: square for dials, the container's shape for linear gauges
+    const { width, height } = this._canvasSize();
+    this._canvas.width = width * this._dpi;
+    this._canvas.height = height * this._dpi;
 
     // Update aria-label
-    this._canvas.setAttribute('aria-label',
-      `${this._config.label} gauge, current value: ${this._targetValue}`);
+    this._setAriaLabel(this._ariaLabel());
 
     // Create new renderer with pre-rendered static layers
-    this._renderer = new GaugeRenderer(this._size, this._dpi, this._config);
+    this._renderer = createRenderer(width, height, this._dpi, this._config);
 
     // Update physics if config changed
     if (this._physics) {
-      this._physics.stiffness = this._config.stiffness;
-      this._physics.damping = this._config.damping;
+      this._syncNeedles();
     }
   }
 
-  _valueToAngle(value) {
+  // Canvas size in CSS pixels
+  _canvasSize() {
+    const rect = this._rect || { width: this._size, height: this._size };
+    return canvasSize(this._config, rect.width, rect.height);
+  }
+
+  _valueToAngle(value, turns = 1) {
     if (!this._config) return 0;
+    const result = valueToAngle(this._config, this._config._scale, value, turns);
+    return isFinite(result) ? result : 0;
+  }
 
-    // Guard against invalid value
-    if (!isFinite(value)) value = this._config.min;
+  // Inverse of _valueToAngle for the primary needle, clamped to the scale
+  // (wrapped with config.wrap)
+  _angleToValue(angle) {
+    const startAngle = (this._config.startAngle - 90) * Math.PI / 180;
+    const endAngle = (this._config.endAngle - 90) * Math.PI / 180;
+    let fraction = endAngle !== startAngle ? (angle - startAngle) / (endAngle - startAngle) : 0;
+    fraction /= needleTurns(this._config, 0);
+    fraction = this._config.wrap ? ((fraction % 1) + 1) % 1 : Math.max(0, Math.min(1, fraction));
+    return this._config._scale.fromFraction(fraction);
+  }
 
-    const range = this._config.max - this._config.min;
-    // Guard against zero range
-    if (range === 0) return 0;
+  // Feed zone/threshold events from the target value ('target', default)
+  // or, with eventSource 'needle', from the animated needle each frame
+  _trackThresholds(value) {
+    const config = this._config;
+    this._tracker.update(value, config._zones, config.thresholds || [], !!config.wrap, config.zoneHysteresis);
+  }
 
-    const normalized = (value - this._config.min) / range;
-    const clamped = Math.max(0, Math.min(1, normalized));
+  _trackRings() {
+    const rings = this._config.rings || [];
+    rings.forEach((ring, i) => this._tracker.updateRing(i, this._ringValues[i], ring));
+  }
 
-    const startAngle = (this._config.startAngle - 90) * Math.PI / 180;
-    const endAngle = (this._config.endAngle - 90) * Math.PI / 180;
+  // ═══════════════════════════════════════════════════════════════════════
+  // SPARKLINE HISTORY
+  // ═══════════════════════════════════════════════════════════════════════
 
-    const result = startAngle + clamped * (endAngle - startAngle);
-    return isFinite(result) ? result : 0;
+  // One history per sparkline complication (null for other types). A
+  // history survives setConfig while its source and window are unchanged.
+  _syncHistories() {
+    const complications = this._config.complications || [];
+    const prev = this._histories;
+
+    this._histories = complications.map((comp, i) => {
+      if (comp.type !== 'sparkline') return null;
+      const window = comp.window || 60000;
+      const old = prev[i];
+      if (old && old.source === (comp.source || 'value') && old.window === window) return old;
+
+      const history = new ValueHistory(window, comp.capacity);
+      history.source = comp.source || 'value';
+      history.push(performance.now(), this._sourceValue(history.source));
+      return history;
+    });
+  }
+
+  // Current value of a sparkline source: 'value', 'needle:N', 'ring:N' or
+  // 'complication:N'
+  _sourceValue(source) {
+    const [kind, index] = source.split(':');
+    if (kind === 'needle') return this.getNeedleValue(Number(index));
+    if (kind === 'ring') return this._ringValues[index];
+    if (kind === 'complication') return this._complicationValues[index];
+    return this._targetValue;
+  }
+
+  _recordHistory(source, value) {
+    const now = performance.now();
+    for (const history of this._histories) {
+      if (history && history.source === source) history.push(now, value);
+    }
   }
 
   _startAnimation() {
-    const animate = (timestamp) => {
-      if (!this._isConnected) return;
+    scheduler.add(this);
+  }
 
-      this._render(timestamp);
-      this._animationId = requestAnimationFrame(animate);
-    };
+  // Ask the shared scheduler to draw this gauge until it settles again
+  _wake() {
+    if (this._isConnected) scheduler.wake(this);
+  }
+
+  // True when another frame would look identical to the last one
+  _isIdle() {
+    if (this._worker) return true;  // drawing happens in the worker
+    if (this._isSweeping || !this._physics) return false;
+    if (this._physics.vibrationEnabled) return false;
+    if (!this._allPhysics().every(physics => physics.isSettled())) return false;
+    if (!this._animators().every(animator => animator.isSettled())) return false;
+
+    // A held peak with a hold time still has to fall back
+    const hold = this._config._peakHold;
+    if (hold && hold.holdTime != null) {
+      const { max, min } = this._peakAt(performance.now());
+      if (max !== this._targetValue || min !== this._targetValue) return false;
+    }
+
+    // Ring flash and blinking lamps are driven by the frame timestamp
+    const rings = this._config.rings || [];
+    for (let i = 0; i < rings.length; i++) {
+      if (rings[i].flash && this._ringValues[i] >= rings[i].flash.above) return false;
+    }
+    if (Object.values(this._lampStates).includes('blink')) return false;
 
-    this._animationId = requestAnimationFrame(animate);
+    // Odometer drum still rolling, or counting distance from speed
+    const odo = this._config._odometer;
+    if (odo && (this._odometer.isRunning() || !this._odometer.isSettled(this._odometer.read(odo.display)))) {
+      return false;
+    }
+
+    // Sparklines scroll until their newest sample leaves the window
+    const now = performance.now();
+    if (this._histories.some(history => history && history.isMoving(now))) return false;
+
+    // Clock hands follow the time
+    if (this._config._clock) return false;
+
+    return true;
+  }
+
+  // Called when the scheduler stops drawing this gauge (idle or out of view)
+  _pause() {
+    // Restart physics timing on wake instead of integrating the gap
+    for (const physics of this._allPhysics()) physics.lastTime = null;
+    for (const animator of this._animators()) animator.pause();
+    this._odometer.lastTime = null;
   }
 
   _render(timestamp) {
@@ -180,74 +585,197 @@ export default class Gauge {
     if (!this._size || this._size <= 0) return;
 
     const ctx = this._ctx;
-    const size = this._size;
+    const { width, height } = this._canvasSize();
     const dpi = this._dpi;
-    const center = size / 2;
-    const radius = size * 0.45;
 
     // Handle sweep animation
     if (this._isSweeping) {
       this._updateSweep(timestamp);
     }
 
-    // Update physics and get current angle
-    let currentAngle = this._physics.update(timestamp);
+    if (this._config._clock && !this._isSweeping) {
+      this._updateClock();
+    }
+
+    // Update physics and get current angles
+    const angles = this._allPhysics().map(physics => {
+      let angle = physics.update(timestamp);
+
+      // Guard against NaN angle
+      if (!isFinite(angle)) {
+        angle = this._valueToAngle(this._config.min);
+        physics.angle = angle;
+        physics.velocity = 0;
+      }
+      return angle;
+    });
+
+    if (this._config.eventSource === 'needle') {
+      this._trackThresholds(this._angleToValue(this._physics.angle));
+    }
+
+    for (const animator of this._animators()) animator.update(timestamp);
 
-    // Guard against NaN angle
-    if (!isFinite(currentAngle)) {
-      currentAngle = this._valueToAngle(this._config.min);
-      this._physics.angle = currentAngle;
-      this._physics.velocity = 0;
+    const odo = this._config._odometer;
+    if (odo) {
+      this._odometer.advance(timestamp);
+      this._odometer.update(timestamp, this._odometer.read(odo.display));
     }
 
     // Clear and scale
     ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.clearRect(0, 0, size * dpi, size * dpi);
+    ctx.clearRect(0, 0, width * dpi, height * dpi);
     ctx.scale(dpi, dpi);
 
-    // 1. Composite cached static layers
-    ctx.drawImage(this._renderer.staticCanvas, 0, 0, size, size);
+    this._renderer.renderFrame(ctx, this._frameState(angles, timestamp));
+  }
 
-    // 2. Active ticks (illuminate ticks up to current value)
-    if (this._config.activeTicks) {
-      this._renderer.drawActiveTicks(ctx, center, radius, currentAngle, this._config);
-    }
+  // Everything the renderer needs to draw one frame. `angles` holds one
+  // angle per needle, primary first.
+  _frameState(angles, timestamp) {
+    return {
+      angle: angles[0],
+      value: this._targetValue,
+      needleAngles: angles,
+      needleValues: [this._targetValue, ...this._extraNeedles.map(needle => needle.value)],
+      ringValues: this._ringValues.map((v, i) => this._ringAnimators[i] ? this._ringAnimators[i].value : v),
+      complicationValues: this._complicationValues.map((v, i) =>
+        this._complicationAnimators[i] ? this._complicationAnimators[i].value : v),
+      peak: this._config._peakHold ? this._peakAt(timestamp) : null,
+      lampStates: this._lampStates,
+      odometer: this._odometer.shown,
+      histories: this._histories.map(history => history ? history.toArray(timestamp) : null),
+      timestamp
+    };
+  }
 
-    // 3. Progress arc (tracks needle angle)
-    if (this._config.progressArc) {
-      this._renderer.drawProgressArc(ctx, center, radius, currentAngle, this._config);
+  // Run a sample through the filter chain for `key` ('value', 'ring:0', ...),
+  // rebuilding the chain when its specs changed
+  _filter(key, specs, value) {
+    if (!specs || specs.length === 0) {
+      this._filterChains.delete(key);
+      return value;
     }
 
-    // 3. Ring indicators (secondary data)
-    if (this._config.rings && this._config.rings.length > 0) {
-      this._renderer.drawRings(ctx, center, radius, this._ringValues, timestamp, this._config);
+    let entry = this._filterChains.get(key);
+    if (!entry || !isEqual(entry.specs, specs)) {
+      entry = { specs, chain: createFilterChain(specs) };
+      this._filterChains.set(key, entry);
     }
+    return entry.chain.push(value, performance.now());
+  }
 
-    // 4. Needle
-    this._renderer.drawNeedle(ctx, center, radius, currentAngle);
+  // ═══════════════════════════════════════════════════════════════════════
+  // PEAK HOLD
+  // ═══════════════════════════════════════════════════════════════════════
 
-    // 5. Center cap
-    this._renderer.drawCenterCap(ctx, center, radius);
+  _resetPeak(now) {
+    const value = this._targetValue;
+    this._peak = { max: value, min: value, maxTime: now, minTime: now };
+  }
 
-    // 6. Complications (sub-gauges)
-    if (this._config.complications && this._config.complications.length > 0) {
-      this._renderer.drawComplications(ctx, center, radius, this._complicationValues, this._config);
+  // Fold a new value into the recorded extremes. The first value seeds both,
+  // so min hold isn't pinned to the starting config.min.
+  _recordPeak(value, now) {
+    if (!this._peak) {
+      this._peak = { max: value, min: value, maxTime: now, minTime: now };
+      return;
     }
+    const { max, min } = this._peakAt(now);
+    if (value >= max) {
+      this._peak.max = value;
+      this._peak.maxTime = now;
+    }
+    if (value <= min) {
+      this._peak.min = value;
+      this._peak.minTime = now;
+    }
+  }
 
-    // 7. Digital display
-    const dd = this._config._digitalDisplay;
-    if (dd && dd.show) {
-      this._renderer.drawDigitalValue(ctx, center, radius, this._targetValue, this._config.units, dd);
+  // Held extremes at time `now`. After holdTime (ms) a peak drops back to
+  // the current value, gradually when decay (value units per second) is set.
+  _peakAt(now) {
+    const hold = this._config._peakHold || {};
+    const current = this._targetValue;
+    if (!this._peak) return { max: current, min: current };
+
+    const release = (peak, time, direction) => {
+      if (hold.holdTime == null) return peak;
+      const elapsed = (now - time - hold.holdTime) / 1000;
+      if (elapsed <= 0) return peak;
+      if (!hold.decay) return current;
+      const decayed = peak - direction * hold.decay * elapsed;
+      return direction > 0 ? Math.max(current, decayed) : Math.min(current, decayed);
+    };
+
+    return {
+      max: release(this._peak.max, this._peak.maxTime, 1),
+      min: release(this._peak.min, this._peak.minTime, -1)
+    };
+  }
+
+  // Draw a full frame into a fresh canvas, leaving the on-screen one untouched
+  _renderSnapshot(options) {
+    const { type = 'image/png', needle = 'current' } = options;
+    const screen = this._rect ? this._canvasSize() : { width: 200, height: 200 };
+    // `size` is the longer side; linear gauges keep their aspect ratio
+    const scale = options.size ? options.size / Math.max(screen.width, screen.height) : this._dpi;
+    const width = Math.round(screen.width * scale);
+    const height = Math.round(screen.height * scale);
+
+    const angles = needle === 'target' || !this._physics
+      ? [this._targetValue, ...this._extraNeedles.map(n => n.value)]
+        .map((v, i) => this._valueToAngle(v, needleTurns(this._config, i)))
+      : this._allPhysics().map(physics => physics.angle);
+    const state = this._frameState(angles, performance.now());
+
+    if (type === 'image/svg+xml') {
+      const ctx = new SvgContext(width, height);
+      createRenderer(width, height, 1, this._config, { cacheStatic: false }).renderFrame(ctx, state);
+      return { svg: ctx.toString() };
     }
 
-    // 8. Custom draw hook
-    if (typeof this._config.onDraw === 'function') {
-      this._config.onDraw(ctx, {
-        center, radius,
-        value: this._targetValue,
-        angle: currentAngle,
-        size, dpi, timestamp
-      });
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    createRenderer(width, height, 1, this._config).renderFrame(canvas.getContext('2d'), state);
+    return { canvas };
+  }
+
+  // Point the needles and complications that have a `hand` at the clock's
+  // time. Continuous hands follow it exactly; stepping hands (ticking
+  // seconds, chronograph counters) and hands that jump, e.g. on a
+  // chronograph reset, spring to their new position.
+  _updateClock() {
+    const config = this._config;
+    const clock = this._clock;
+    const time = clock.now();
+    const startAngle = (config.startAngle - 90) * Math.PI / 180;
+    const totalAngle = (config.endAngle - config.startAngle) * Math.PI / 180;
+    const needles = config.needles || [];
+
+    this._allPhysics().forEach((physics, i) => {
+      const hand = needles[i] && needles[i].hand;
+      if (!HAND_PERIODS[hand]) return;
+      const angle = startAngle + clock.fraction(hand, time) * totalAngle;
+      let jump = angle - physics.targetAngle;
+      if (physics.period > 0) jump -= physics.period * Math.round(jump / physics.period);
+      physics.setTarget(angle, !clock.steps(hand) && Math.abs(jump) < 0.05);
+    });
+
+    (config.complications || []).forEach((comp, i) => {
+      const period = HAND_PERIODS[comp.hand];
+      if (!period) return;
+      const value = clock.read(comp.hand, time) % (comp.max || period);
+      if (value === this._complicationValues[i]) return;
+      this._complicationValues[i] = value;
+      if (this._complicationAnimators[i]) this._complicationAnimators[i].set(value);
+    });
+
+    const minute = Math.floor(time / 60000);
+    if (minute !== this._clockMinute) {
+      this._clockMinute = minute;
+      this._setAriaLabel(this._ariaLabel());
     }
   }
 
@@ -259,52 +787,239 @@ export default class Gauge {
       if (elapsed >= sweepDuration) {
         this._sweepPhase = 'down';
         this._sweepStartTime = timestamp;
-        this._physics.setTarget(this._valueToAngle(this._config.min));
+        const minAngle = this._valueToAngle(this._config.min);
+        for (const physics of this._allPhysics()) physics.setTarget(minAngle);
       }
     } else if (this._sweepPhase === 'down') {
-      if (this._physics.isSettled(0.01)) {
+      if (this._allPhysics().every(physics => physics.isSettled(0.01))) {
         this._isSweeping = false;
         this._sweepPhase = 'idle';
-        // Return to actual target value
-        this._physics.setTarget(this._valueToAngle(this._targetValue));
-        this._element.dispatchEvent(new CustomEvent('gauge:sweepcomplete'));
+        // Return to actual target values
+        this._retargetNeedles();
+        this._dispatch('gauge:sweepcomplete');
       }
     }
   }
 
+  // Point every needle at its current value (e.g. after a sweep or rescale)
+  _retargetNeedles() {
+    this._physics.setTarget(this._valueToAngle(this._targetValue, needleTurns(this._config, 0)));
+    this._extraNeedles.forEach((needle, i) => {
+      needle.physics.setTarget(this._valueToAngle(needle.value, needleTurns(this._config, i + 1)));
+    });
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // PUBLIC API
   // ═══════════════════════════════════════════════════════════════════════
 
   setValue(value, options = {}) {
     const { immediate = false } = options;
+    this._forward('setValue', arguments);
 
+    this._raw.value = value;
+    value = this._filter('value', this._config.filters, value);
+    if (this._config.wrap) value = wrapValue(value, this._config.min, this._config.max);
     this._targetValue = value;
+    const hands = this._hands();
+    for (const [, hand] of hands) hand.value = value;
+    this._recordPeak(value, performance.now());
+    this._recordHistory('value', value);
+    this._odometer.setSpeed(value, performance.now());
 
     if (!this._isSweeping && this._physics) {
-      this._physics.setTarget(this._valueToAngle(value), immediate);
+      this._physics.setTarget(this._valueToAngle(value, needleTurns(this._config, 0)), immediate);
+      for (const [i, hand] of hands) {
+        hand.physics.setTarget(this._valueToAngle(value, needleTurns(this._config, i)), immediate);
+      }
 
       // Update aria-label
-      if (this._canvas) {
-        this._canvas.setAttribute('aria-label',
-          `${this._config.label} gauge, current value: ${Math.round(value)}`);
-      }
+      this._setAriaLabel(this._ariaLabel());
+
+      this._dispatch('gauge:valuechange', { value, raw: this._raw.value });
+    }
+
+    if (this._config.eventSource !== 'needle') {
+      this._trackThresholds(value);
+    }
+
+    this._wake();
+  }
+
+  /**
+   * Set the value of one needle from config.needles. Index 0 is the primary
+   * needle and is equivalent to setValue(). Hands with `turns` follow the
+   * main value and ignore this.
+   * @param {number} index
+   * @param {number} value
+   * @param {object} [options]  { immediate }
+   */
+  setNeedleValue(index, value, options = {}) {
+    if (index === 0) return this.setValue(value, options);
+    this._forward('setNeedleValue', arguments);
+
+    const needle = this._extraNeedles[index - 1];
+    if (!needle || this._config.needles[index].turns) return;
+    this._raw.needles[index] = value;
+    value = this._filter(`needle:${index}`, this._config.needles[index].filters, value);
+    if (this._config.wrap) value = wrapValue(value, this._config.min, this._config.max);
+    needle.value = value;
+    this._recordHistory(`needle:${index}`, value);
+
+    if (!this._isSweeping && needle.physics) {
+      needle.physics.setTarget(this._valueToAngle(value, needleTurns(this._config, index)), options.immediate);
+      this._setAriaLabel(this._ariaLabel());
+      this._dispatch('gauge:valuechange', { value, raw: this._raw.needles[index], needle: index });
+    }
+
+    this._wake();
+  }
+
+  /**
+   * Highest and lowest values passed to setValue() since the last reset,
+   * after any hold time/decay from config.peakHold.
+   * @returns {{ max: number, min: number }}
+   */
+  getPeak() {
+    return this._peakAt(performance.now());
+  }
+
+  // Restart peak and min hold from the current value
+  resetPeak() {
+    this._forward('resetPeak', arguments);
+    this._resetPeak(performance.now());
+    this._wake();
+  }
+
+  getNeedleValue(index) {
+    if (index === 0) return this._targetValue;
+    const needle = this._extraNeedles[index - 1];
+    return needle ? needle.value : undefined;
+  }
+
+  /**
+   * Merge a partial config into the live gauge. Static layers are only
+   * re-rendered when a key they depend on changed; the needle keeps its
+   * physics state and springs to the value's position on the new scale.
+   * @param {object} partial  Config keys to change
+   */
+  setConfig(partial) {
+    if (!partial || !this._config) return;
+    const prev = this._config;
+    const next = { ...prev, ...partial };
+    delete next._digitalDisplay;
+    this._validate(next);  // before anything changes, so strict mode leaves the gauge as it was
+
+    this._forward('setConfig', arguments);
+    this._config = normalizeConfig(next);
+    if (!this._host) this._readTheme(next);
+
+    this._ringValues = resizeValues(this._ringValues, next.rings);
+    this._complicationValues = resizeValues(this._complicationValues, next.complications);
+    this._lampStates = resizeLampStates(this._lampStates, next.lamps);
+
+    // Odometer: switching the displayed counter snaps instead of rolling
+    const odo = this._config._odometer;
+    this._odometer.configure(odo || {});
+    this._clock.configure(this._config._clock || {});
+    if (odo && (!prev._odometer || prev._odometer.display !== odo.display)) {
+      this._odometer.shown = this._odometer.read(odo.display);
+    }
+
+    this._syncNeedles();
+    this._syncHistories();
+    if (this._physics) this._syncAnimators();
+
+    if (STATIC_CONFIG_KEYS.some(key => !isEqual(prev[key], next[key]))) {
+      this._rebuildRenderer();
+    } else if (this._renderer) {
+      // Per-frame layers read the renderer's config directly
+      this._renderer.config = next;
+    }
 
-      this._element.dispatchEvent(new CustomEvent('gauge:valuechange', {
-        detail: { value }
-      }));
+    if (this._physics && !this._isSweeping) {
+      this._retargetNeedles();
+    }
+
+    // New zone/threshold definitions start from a fresh baseline
+    if (['zones', 'thresholds', 'rings', 'redlineStart', 'dangerStart', 'eventSource']
+      .some(key => !isEqual(prev[key], next[key]))) {
+      this._tracker.reset();
+    }
+    if (next.eventSource !== 'needle') {
+      this._trackThresholds(this._targetValue);
+    }
+    this._trackRings();
+
+    if (this._physics) {
+      this._setAriaLabel(this._ariaLabel());
+    }
+
+    this._wake();
+  }
+
+  get config() {
+    return this._config;
+  }
+
+  /**
+   * Re-read prefers-color-scheme and the container's --gauge-* custom
+   * properties, redrawing if either changed. Color-scheme changes are picked
+   * up automatically; call this after changing the properties in CSS.
+   */
+  refreshTheme() {
+    if (this._host || !this._config) return;
+    const { _scheme: scheme, _themeVars: vars } = this._config;
+    this._readTheme(this._config);
+    if (this._config._scheme !== scheme || !isEqual(this._config._themeVars, vars)) {
+      this._rebuildRenderer();
+      this._wake();
     }
   }
 
+  // Report config problems per config.validate. The worker host skips this:
+  // the main thread has already checked whatever it forwards.
+  _validate(config) {
+    if (this._host || !config.validate) return;
+    validateConfig(config, { mode: config.validate });
+  }
+
+  // Store the color scheme and --gauge-* properties the theme uses in config.
+  // Only the main thread can read them; a worker gauge is sent them.
+  _readTheme(config) {
+    config._scheme = colorScheme(config.faceStyle);
+    config._themeVars = readThemeVars(this._element, config);
+    this._forward('_setTheme', [config._scheme, config._themeVars]);
+  }
+
+  // Worker side of _readTheme
+  _setTheme(scheme, vars) {
+    if (scheme === this._config._scheme && isEqual(vars, this._config._themeVars)) return;
+    this._config._scheme = scheme;
+    this._config._themeVars = vars;
+    this._rebuildRenderer();
+    this._wake();
+  }
+
   sweep() {
+    this._forward('sweep', arguments);
     if (!this._physics || !this._config) return;
 
     this._isSweeping = true;
     this._sweepPhase = 'up';
     this._sweepStartTime = performance.now();
 
-    // Sweep to max
-    this._physics.setTarget(this._valueToAngle(this._config.max));
+    // Sweep every needle once round the dial. A wrapping dial has no end
+    // stop, so its needles spin a full turn from where they are instead.
+    const maxAngle = (this._config.endAngle - 90) * Math.PI / 180;
+    for (const physics of this._allPhysics()) {
+      if (physics.period > 0) {
+        physics.targetAngle = physics.angle + physics.period;
+      } else {
+        physics.setTarget(maxAngle);
+      }
+    }
+    this._wake();
   }
 
   get value() {
@@ -317,14 +1032,35 @@ export default class Gauge {
 
   // Enable/disable RPM vibration
   set vibration(enabled) {
+    this._forward('vibration', arguments);
     if (this._physics) {
       this._physics.vibrationEnabled = enabled;
+      this._wake();
     }
   }
 
-  setRingValue(index, value) {
+  // Redraw on the next frame, e.g. when state read by an onDraw hook changed
+  invalidate() {
+    this._forward('invalidate', arguments);
+    this._wake();
+  }
+
+  /**
+   * @param {number} index
+   * @param {number} value
+   * @param {object} [options]  { immediate } skips the ring's animation
+   */
+  setRingValue(index, value, options = {}) {
+    this._forward('setRingValue', arguments);
     if (this._ringValues && index >= 0 && index < this._ringValues.length) {
+      this._raw.rings[index] = value;
+      value = this._filter(`ring:${index}`, this._config.rings[index].filters, value);
       this._ringValues[index] = value;
+      if (this._ringAnimators[index]) this._ringAnimators[index].set(value, options.immediate);
+      this._recordHistory(`ring:${index}`, value);
+      this._tracker.updateRing(index, value, this._config.rings[index]);
+      this._dispatch('gauge:ringchange', { index, value, raw: this._raw.rings[index] });
+      this._wake();
     }
   }
 
@@ -332,9 +1068,21 @@ export default class Gauge {
     return this._ringValues ? this._ringValues[index] : undefined;
   }
 
-  setComplicationValue(index, value) {
+  /**
+   * @param {number} index
+   * @param {number|string} value  Strings (gear, mode) show as given
+   * @param {object} [options]  { immediate } skips the complication's animation
+   */
+  setComplicationValue(index, value, options = {}) {
+    this._forward('setComplicationValue', arguments);
     if (this._complicationValues && index >= 0 && index < this._complicationValues.length) {
+      this._raw.complications[index] = value;
+      value = this._filter(`complication:${index}`, this._config.complications[index].filters, value);
       this._complicationValues[index] = value;
+      if (this._complicationAnimators[index]) this._complicationAnimators[index].set(value, options.immediate);
+      this._recordHistory(`complication:${index}`, value);
+      this._dispatch('gauge:complicationchange', { index, value, raw: this._raw.complications[index] });
+      this._wake();
     }
   }
 
@@ -342,17 +1090,183 @@ export default class Gauge {
     return this._complicationValues ? this._complicationValues[index] : undefined;
   }
 
+  /**
+   * The last unfiltered inputs, before any `filters` chain. The getters
+   * above (value, getRingValue, ...) return the filtered values.
+   * @returns {{ value: number, needles: number[], rings: number[], complications: number[] }}
+   */
+  getRaw() {
+    const { needles, rings, complications } = this._raw;
+    const value = this._raw.value !== undefined ? this._raw.value : this._targetValue;
+    return {
+      value,
+      // By needle index, as for setNeedleValue(): 0 is the main value
+      needles: [value, ...this._extraNeedles.map((needle, i) => i + 1 in needles ? needles[i + 1] : needle.value)],
+      rings: this._ringValues.map((v, i) => i in rings ? rings[i] : v),
+      complications: this._complicationValues.map((v, i) => i in complications ? complications[i] : v),
+    };
+  }
+
+  /**
+   * Switch a warning lamp from config.lamps.
+   * @param {string} id     Lamp id
+   * @param {string} state  'off' | 'on' | 'blink'
+   */
+  setLamp(id, state) {
+    this._forward('setLamp', arguments);
+    if (!(id in this._lampStates) || !LAMP_STATES.includes(state)) return;
+
+    this._lampStates[id] = state;
+    if (this._physics) this._setAriaLabel(this._ariaLabel());
+    this._wake();
+  }
+
+  getLamp(id) {
+    return this._lampStates[id];
+  }
+
+  /**
+   * Set the odometer total (distance units are up to the caller). Increases
+   * also advance both trip counters; the drum rolls to the new reading.
+   * @param {number} distance
+   */
+  setOdometer(distance) {
+    this._forward('setOdometer', arguments);
+    if (!isFinite(distance)) return;
+    this._odometer.advance(performance.now());
+    this._odometer.set(distance);
+    this._wake();
+  }
+
+  /**
+   * Current counters, including distance integrated from speed so far.
+   * @returns {{ total: number, tripA: number, tripB: number }}
+   */
+  getOdometer() {
+    this._odometer.advance(performance.now());
+    const { total, tripA, tripB } = this._odometer;
+    return { total, tripA, tripB };
+  }
+
+  // Zero trip counter 'A' or 'B'
+  resetTrip(trip = 'A') {
+    this._forward('resetTrip', arguments);
+    this._odometer.advance(performance.now());
+    this._odometer.resetTrip(trip);
+    this._wake();
+  }
+
+  // Start or resume the chronograph, which counts time for `elapsed*` hands
+  startChronograph() {
+    this._forward('startChronograph', arguments);
+    this._clock.start(this._clock.now());
+    this._wake();
+  }
+
+  stopChronograph() {
+    this._forward('stopChronograph', arguments);
+    this._clock.stop(this._clock.now());
+    this._wake();
+  }
+
+  /**
+   * Record a lap and emit gauge:lap with it; the chronograph keeps running.
+   * @returns {{ number: number, elapsed: number, lapTime: number }}  ms
+   */
+  lapChronograph() {
+    this._forward('lapChronograph', arguments);
+    const lap = this._clock.lap(this._clock.now());
+    this._dispatch('gauge:lap', lap);
+    return lap;
+  }
+
+  // Stop and zero the chronograph; its hands fly back to zero
+  resetChronograph() {
+    this._forward('resetChronograph', arguments);
+    this._clock.reset();
+    this._wake();
+  }
+
+  /**
+   * @returns {{ running: boolean, elapsed: number, laps: object[] }}  ms
+   */
+  getChronograph() {
+    const { running, laps } = this._clock;
+    return { running, elapsed: this._clock.elapsed(this._clock.now()), laps: laps.slice() };
+  }
+
+  /**
+   * Export the full composite (static layers, needle, rings, progress arc,
+   * complications, digital readout) as a data URL.
+   * @param {object} [options]
+   * @param {number} [options.size]  Output size in pixels, the longer side for
+   *   linear gauges (default: on-screen size × devicePixelRatio)
+   * @param {string} [options.type='image/png']  Any type canvas supports, or 'image/svg+xml'
+   * @param {number} [options.quality]  Quality for lossy formats (0-1)
+   * @param {string} [options.needle='current']  'current' physics angle or 'target' value
+   * @returns {string}
+   */
+  toDataURL(options = {}) {
+    const { canvas, svg } = this._renderSnapshot(options);
+    if (svg) return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    return canvas.toDataURL(options.type || 'image/png', options.quality);
+  }
+
+  /**
+   * Export the full composite as a Blob. Takes the same options as toDataURL.
+   * @returns {Promise<Blob>}
+   */
+  toBlob(options = {}) {
+    const { canvas, svg } = this._renderSnapshot(options);
+    if (svg) return Promise.resolve(new Blob([svg], { type: 'image/svg+xml' }));
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) resolve(blob);
+        else reject(new Error('Gauge: snapshot could not be encoded'));
+      }, options.type || 'image/png', options.quality);
+    });
+  }
+
+  /**
+   * Drive the gauge from a stream: an async iterable, a WebSocket,
+   * EventSource or other EventTarget, or a subscribe function
+   * (emit) => unsubscribe. See Binding for the mapping options.
+   * @param {*} source
+   * @param {object} [mapping]  Selectors for value, needles, rings,
+   *   complications and lamps, plus parse, event, throttle and reconnect
+   * @returns {Binding} Call binding.unbind() to detach
+   */
+  bind(source, mapping) {
+    // Bindings live on this thread even in worker mode; their setter calls
+    // are forwarded, and their events are dispatched here directly
+    const emit = (name, detail) => this._element.dispatchEvent(new CustomEvent(name, { detail }));
+    const binding = new Binding(this, source, mapping, emit);
+    binding.onunbind = () => this._bindings.delete(binding);
+    if (binding.active) this._bindings.add(binding);
+    return binding;
+  }
+
+  // Detach one binding, or all of them when called without arguments
+  unbind(binding) {
+    const targets = binding ? [binding] : [...this._bindings];
+    for (const b of targets) b.unbind();
+  }
+
   destroy() {
+    this.unbind();
     this._isConnected = false;
-    this._resizeObserver.disconnect();
-    if (this._animationId) {
-      cancelAnimationFrame(this._animationId);
-      this._animationId = null;
-    }
-    if (this._physics) {
-      this._physics.destroy();
+    if (this._resizeObserver) this._resizeObserver.disconnect();
+    scheduler.remove(this);
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+      this._motionQuery.removeEventListener('change', this._onMotionChange);
     }
-    if (this._canvas && this._canvas.parentNode) {
+    if (this._schemeQuery) this._schemeQuery.removeEventListener('change', this._onSchemeChange);
+    for (const physics of this._allPhysics()) physics.destroy();
+    for (const animator of this._animators()) animator.destroy();
+    if (!this._host && this._canvas && this._canvas.parentNode) {
       this._canvas.parentNode.removeChild(this._canvas);
     }
   }
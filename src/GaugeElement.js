@@ -0,0 +1,185 @@
+import Gauge from './Gauge.js';
+import { defaults } from './presets.js';
+import { expandPreset } from './config.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// <canvas-gauge> — Custom element wrapper around the Gauge class
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Attribute name → [config key, type]
+const ATTRIBUTES = {
+  'min': ['min', 'number'],
+  'max': ['max', 'number'],
+  'label': ['label', 'string'],
+  'units': ['units', 'string'],
+  'major-ticks': ['majorTicks', 'number'],
+  'minor-ticks': ['minorTicks', 'number'],
+  'start-angle': ['startAngle', 'number'],
+  'end-angle': ['endAngle', 'number'],
+  'stiffness': ['stiffness', 'number'],
+  'damping': ['damping', 'number'],
+  'face-style': ['faceStyle', 'string'],
+  'theme': ['theme', 'string'],
+  'needle-glow': ['needleGlow', 'boolean'],
+  'show-digital-value': ['showDigitalValue', 'boolean'],
+  'geometry': ['geometry', 'string'],
+  'orientation': ['orientation', 'string'],
+  'indicator': ['indicator', 'string'],
+};
+
+// Events re-dispatched from the internal container onto the host element
+const GAUGE_EVENTS = [
+  'gauge:ready', 'gauge:valuechange', 'gauge:sweepcomplete',
+  'gauge:zoneenter', 'gauge:zoneexit', 'gauge:threshold',
+  'gauge:ringchange', 'gauge:complicationchange', 'gauge:lap',
+  'gauge:disconnect', 'gauge:reconnect',
+];
+
+const STYLE = `
+  :host { display: inline-block; width: 200px; aspect-ratio: 1; }
+  :host([geometry="linear"]) { width: 70px; aspect-ratio: 1 / 3; }
+  :host([geometry="linear"][orientation="horizontal"]) { width: 240px; aspect-ratio: 3; }
+  :host([hidden]) { display: none; }
+  .container { width: 100%; height: 100%; }
+`;
+
+// Allow the module to be imported where custom elements don't exist (SSR, workers)
+const HTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export default class GaugeElement extends HTMLElementBase {
+  static get observedAttributes() {
+    return ['preset', 'value', ...Object.keys(ATTRIBUTES)];
+  }
+
+  constructor() {
+    super();
+    this._gauge = null;
+    this._config = null;
+
+    const root = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    this._container = document.createElement('div');
+    this._container.className = 'container';
+    root.append(style, this._container);
+
+    // Gauge events don't cross the shadow boundary on their own
+    for (const type of GAUGE_EVENTS) {
+      this._container.addEventListener(type, (e) => {
+        this.dispatchEvent(new CustomEvent(type, { detail: e.detail, bubbles: true, composed: true }));
+      });
+    }
+  }
+
+  connectedCallback() {
+    if (!this._gauge) this._createGauge();
+  }
+
+  disconnectedCallback() {
+    this._destroyGauge();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this._gauge || oldValue === newValue) return;
+
+    if (name === 'value') {
+      this._gauge.setValue(this._parseValue(newValue));
+    } else {
+      this._applyConfig();
+    }
+  }
+
+  _createGauge() {
+    this._gauge = new Gauge(this._container, this._buildConfig());
+    if (this.hasAttribute('value')) {
+      this._gauge.setValue(this._parseValue(this.getAttribute('value')), { immediate: true });
+    }
+  }
+
+  _destroyGauge() {
+    if (this._gauge) {
+      this._gauge.destroy();
+      this._gauge = null;
+    }
+  }
+
+  // Push the full attribute/property config so removed keys fall back to
+  // defaults. setConfig merges, so keys with no default that the previous
+  // config set (an old preset's redlineStart, needles, clock...) are cleared.
+  _applyConfig() {
+    const config = { ...defaults, ...this._buildConfig() };
+    for (const key of Object.keys(this._gauge.config)) {
+      if (!key.startsWith('_') && !(key in config)) config[key] = undefined;
+    }
+    this._gauge.setConfig(config);
+  }
+
+  _buildConfig() {
+    const preset = this.getAttribute('preset');
+    const overrides = { ...this._config, ...this._readAttributes() };
+    return expandPreset(preset ? { ...overrides, preset } : overrides);
+  }
+
+  _readAttributes() {
+    const config = {};
+    for (const [attr, [key, type]] of Object.entries(ATTRIBUTES)) {
+      if (!this.hasAttribute(attr)) continue;
+      const raw = this.getAttribute(attr);
+
+      if (type === 'number') {
+        const num = parseFloat(raw);
+        if (isFinite(num)) config[key] = num;
+      } else if (type === 'boolean') {
+        config[key] = raw !== 'false';
+      } else {
+        config[key] = raw;
+      }
+    }
+    return config;
+  }
+
+  _parseValue(raw) {
+    const num = parseFloat(raw);
+    return isFinite(num) ? num : 0;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Underlying Gauge instance (null while disconnected)
+  get gauge() {
+    return this._gauge;
+  }
+
+  get value() {
+    if (this.hasAttribute('value')) return this._parseValue(this.getAttribute('value'));
+    return this._gauge ? this._gauge.value : 0;
+  }
+
+  // Reflected to the `value` attribute, which drives the gauge
+  set value(val) {
+    this.setAttribute('value', String(val));
+  }
+
+  // Full config object for options with no attribute form (zones, rings, ...).
+  // Attributes take precedence over keys set here.
+  get config() {
+    return this._config;
+  }
+
+  set config(config) {
+    this._config = config ? { ...config } : null;
+    if (this._gauge) this._applyConfig();
+  }
+}
+
+export function defineGaugeElement(tagName = 'canvas-gauge') {
+  if (typeof customElements === 'undefined') return;
+  if (customElements.get(tagName)) return;
+
+  // A constructor can only be registered once, so extra tag names get a subclass
+  customElements.define(tagName, tagName === 'canvas-gauge' ? GaugeElement : class extends GaugeElement {});
+}
+
+defineGaugeElement();
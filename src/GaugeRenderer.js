@@ -2,23 +2,65 @@
 // PROCEDURAL GRAPHICS GENERATOR
 // ═══════════════════════════════════════════════════════════════════════════
 
+import { createFormatter } from './format.js';
+import { createScale, valueToAngle } from './scale.js';
+import { effectiveZones } from './config.js';
+import { lampIcons } from './lamps.js';
+import { drumPositions } from './Odometer.js';
+import { resolveTheme } from './themes.js';
+
+// Config keys baked into the cached static layers. Changing any of these
+// requires a new renderer; everything else is read per frame.
+export const STATIC_CONFIG_KEYS = [
+  'min', 'max', 'label', 'units', 'labelFontSize',
+  'majorTicks', 'minorTicks', 'microTicks', 'customLabels', 'format', 'scale',
+  'startAngle', 'endAngle', 'wrap',
+  'faceStyle', 'theme', 'colors', '_scheme', '_themeVars', 'zones', 'texts',
+  'redlineStart', 'dangerStart', 'innerRing',
+  'geometry', 'orientation', 'digitalDisplay', 'showDigitalValue',
+];
+
 /**
  * Procedurally generates all gauge graphics without external assets.
  * Each gauge caches its static layers in an OffscreenCanvas for
  * maximum performance during animation.
  */
 export default class GaugeRenderer {
-  constructor(size, dpi, config) {
-    this.size = size;
+  /**
+   * @param {number|object} size  CSS pixel size of the (square) gauge, or
+   *   { width, height } for subclasses drawing into a rectangle
+   * @param {number} dpi     Device pixel ratio for the static layer cache
+   * @param {object} config  Resolved gauge config
+   * @param {object} [options]
+   * @param {function} [options.canvasFactory]  (width, height) => canvas, for
+   *   environments without OffscreenCanvas or document (e.g. node-canvas)
+   * @param {boolean} [options.cacheStatic=true]  Pre-render static layers to a
+   *   bitmap. When false they are drawn straight into each frame's context
+   *   (used by vector backends such as SvgContext).
+   */
+  constructor(size, dpi, config, options = {}) {
+    const { width, height } = typeof size === 'number' ? { width: size, height: size } : size;
+    this.size = Math.min(width, height);
+    this.width = width;
+    this.height = height;
     this.dpi = dpi;
     this.config = config;
-    this.scaledSize = size * dpi;
+    this.scaledSize = this.size * dpi;
+    this._canvasFactory = options.canvasFactory || null;
 
-    // Resolve colors based on faceStyle and user overrides
+    // Resolve colors from the theme, --gauge-* properties and user overrides
     this._resolvedColors = this._buildColors(config);
+    this._dark = this._resolvedColors.dark;
+    this._scale = config._scale || createScale(config.scale, config.min, config.max);
+    this._ticks = this._tickLayout();
+    this._complicationFormats = new WeakMap();
+
+    this.staticCanvas = null;
+    this.staticCtx = null;
+    if (options.cacheStatic === false) return;
 
     // Create offscreen canvas for static layers (fall back to regular canvas for Safari <17)
-    this.staticCanvas = this._createOffscreenCanvas(this.scaledSize, this.scaledSize);
+    this.staticCanvas = this._createOffscreenCanvas(width * dpi, height * dpi);
     this.staticCtx = this.staticCanvas.getContext('2d');
     this.staticCtx.scale(dpi, dpi);
 
@@ -27,10 +69,16 @@ export default class GaugeRenderer {
   }
 
   _createOffscreenCanvas(width, height) {
+    if (this._canvasFactory) {
+      return this._canvasFactory(width, height);
+    }
     if (typeof OffscreenCanvas !== 'undefined') {
       const oc = new OffscreenCanvas(width, height);
       if (oc.getContext('2d')) return oc;
     }
+    if (typeof document === 'undefined') {
+      throw new TypeError('GaugeRenderer: no canvas available, pass options.canvasFactory');
+    }
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
@@ -42,44 +90,7 @@ export default class GaugeRenderer {
   // ═══════════════════════════════════════════════════════════════════════
 
   _buildColors(config) {
-    const userColors = config.colors || {};
-    const isDark = config.faceStyle === 'dark';
-
-    const lightDefaults = {
-      face: '#FEFEFE',
-      needle: '#CC1010',
-      ticks: '#1A1A1A',
-      minorTicks: '#404040',
-      numbers: '#1A1A1A',
-      label: '#2A2A2A',
-      units: '#555555',
-      redline: '#CC2020',
-    };
-
-    const darkDefaults = {
-      face: '#1A1A1A',
-      needle: '#CC1010',
-      ticks: '#E0E0E0',
-      minorTicks: '#888888',
-      numbers: '#D0D0D0',
-      label: '#E0E0E0',
-      units: '#AAAAAA',
-      redline: '#FF4040',
-    };
-
-    const base = isDark ? darkDefaults : lightDefaults;
-
-    // User colors override defaults
-    return {
-      face: userColors.face || base.face,
-      needle: userColors.needle || base.needle,
-      ticks: userColors.ticks || base.ticks,
-      minorTicks: userColors.minorTicks || base.minorTicks,
-      numbers: userColors.numbers || base.numbers,
-      label: userColors.label || base.label,
-      units: userColors.units || base.units,
-      redline: userColors.redline || base.redline,
-    };
+    return resolveTheme(config);
   }
 
   _needleGradient(ctx, baseColor, needleWidth) {
@@ -105,13 +116,14 @@ export default class GaugeRenderer {
   // STATIC LAYER PIPELINE
   // ═══════════════════════════════════════════════════════════════════════
 
-  renderStaticLayers() {
-    const ctx = this.staticCtx;
+  renderStaticLayers(ctx = this.staticCtx) {
     const size = this.size;
     const center = size / 2;
     const radius = size * 0.45;
 
-    ctx.clearRect(0, 0, size, size);
+    if (ctx === this.staticCtx) {
+      ctx.clearRect(0, 0, size, size);
+    }
 
     // Layer 1: Outer shadow (depth)
     this.drawOuterShadow(ctx, center, radius);
@@ -145,11 +157,6 @@ export default class GaugeRenderer {
     // Layer 7: Label
     this.drawLabel(ctx, center, radius);
 
-    // Layer 8: Odometer (speed gauge only)
-    if (this.config.showOdometer) {
-      this.drawOdometer(ctx, center, radius);
-    }
-
     // Layer 9: Inner ring (frames the digital display area)
     if (this.config.innerRing) {
       this.drawInnerRing(ctx, center, radius);
@@ -163,8 +170,8 @@ export default class GaugeRenderer {
     ctx.save();
     ctx.beginPath();
     ctx.arc(center, center, radius + 8, 0, Math.PI * 2);
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillStyle = this._resolvedColors.shadow;
+    ctx.shadowColor = this._resolvedColors.shadow;
     ctx.shadowBlur = 15;
     ctx.shadowOffsetY = 4;
     ctx.fill();
@@ -187,12 +194,7 @@ export default class GaugeRenderer {
       center - radius, center - radius,
       center + radius, center + radius
     );
-    gradient.addColorStop(0, '#E8E8E8');     // Bright highlight
-    gradient.addColorStop(0.2, '#C8C8C8');    // Light silver
-    gradient.addColorStop(0.4, '#A0A0A0');    // Mid silver
-    gradient.addColorStop(0.6, '#787878');    // Darker silver
-    gradient.addColorStop(0.8, '#585858');    // Dark
-    gradient.addColorStop(1, '#404040');      // Shadow
+    this._addStops(gradient, this._resolvedColors.bezel);
 
     ctx.fillStyle = gradient;
     ctx.fill();
@@ -200,14 +202,14 @@ export default class GaugeRenderer {
     // Inner bevel highlight
     ctx.beginPath();
     ctx.arc(center, center, radius, 0, Math.PI * 2);
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.strokeStyle = this._resolvedColors.faceStroke;
     ctx.lineWidth = 1;
     ctx.stroke();
 
     // Outer bevel shadow
     ctx.beginPath();
     ctx.arc(center, center, outerRadius, 0, Math.PI * 2);
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.strokeStyle = this._resolvedColors.bezelStroke;
     ctx.lineWidth = 1.5;
     ctx.stroke();
 
@@ -226,9 +228,7 @@ export default class GaugeRenderer {
       center, center, lipRadius * 0.85,
       center, center, lipRadius
     );
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0.15)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
+    this._addStops(gradient, this._resolvedColors.innerShadow);
 
     ctx.fillStyle = gradient;
     ctx.fill();
@@ -238,13 +238,12 @@ export default class GaugeRenderer {
   drawFace(ctx, center, radius) {
     const faceRadius = radius * 0.88;
     const colors = this._resolvedColors;
-    const isDark = this.config.faceStyle === 'dark';
 
     ctx.save();
     ctx.beginPath();
     ctx.arc(center, center, faceRadius, 0, Math.PI * 2);
 
-    if (isDark) {
+    if (this._dark) {
       const gradient = ctx.createRadialGradient(
         center - faceRadius * 0.2, center - faceRadius * 0.2, 0,
         center, center, faceRadius
@@ -279,22 +278,18 @@ export default class GaugeRenderer {
     const startAngle = (config.startAngle - 90) * Math.PI / 180;
     const endAngle = (config.endAngle - 90) * Math.PI / 180;
     const totalAngle = endAngle - startAngle;
-    const range = config.max - config.min;
-
-    let zones = config.zones;
-
-    // Backward compat: auto-generate zone from redlineStart or dangerStart
-    if ((!zones || zones.length === 0) && (config.redlineStart || config.dangerStart)) {
-      const start = config.redlineStart || config.dangerStart;
-      zones = [{ start, end: config.max, color: `rgba(204, 32, 32, 0.15)` }];
-    }
+    const scale = this._scale;
 
-    if (!zones || zones.length === 0) return;
+    // Includes the zone implied by redlineStart/dangerStart
+    const zones = config._zones || effectiveZones(config);
+    if (zones.length === 0) return;
 
     ctx.save();
     for (const zone of zones) {
-      const zoneStartAngle = startAngle + ((zone.start - config.min) / range) * totalAngle;
-      const zoneEndAngle = startAngle + ((zone.end - config.min) / range) * totalAngle;
+      // On a wrapping scale a zone with end < start runs across the seam
+      const seam = config.wrap && zone.end < zone.start ? 1 : 0;
+      const zoneStartAngle = startAngle + scale.toFraction(zone.start) * totalAngle;
+      const zoneEndAngle = startAngle + (scale.toFraction(zone.end) + seam) * totalAngle;
 
       const outerR = zone.offset != null ? faceRadius * zone.offset : faceRadius * 0.88;
       const zoneWidth = zone.width != null ? faceRadius * zone.width : outerR - faceRadius * 0.72;
@@ -304,7 +299,7 @@ export default class GaugeRenderer {
       ctx.arc(center, center, outerR, zoneStartAngle, zoneEndAngle);
       ctx.arc(center, center, innerR, zoneEndAngle, zoneStartAngle, true);
       ctx.closePath();
-      ctx.fillStyle = zone.color;
+      ctx.fillStyle = zone.color || this._resolvedColors.zone;
       ctx.fill();
     }
     ctx.restore();
@@ -342,14 +337,15 @@ export default class GaugeRenderer {
     const endAngle = (config.endAngle - 90) * Math.PI / 180;
     const totalAngle = endAngle - startAngle;
     const count = mt.count || 100;
-    const color = mt.color || '#444444';
+    const color = mt.color || this._resolvedColors.microTicks;
 
     ctx.save();
     ctx.strokeStyle = color;
     ctx.lineWidth = 0.5;
 
     for (let i = 0; i <= count; i++) {
-      const angle = startAngle + (i / count) * totalAngle;
+      const value = config.min + (i / count) * (config.max - config.min);
+      const angle = startAngle + this._scale.toFraction(value) * totalAngle;
       const inner = faceRadius * 0.91;
       const outer = faceRadius * 0.95;
       ctx.beginPath();
@@ -380,12 +376,10 @@ export default class GaugeRenderer {
     ctx.lineCap = 'round';
 
     // Major ticks
-    const majorCount = config.majorTicks;
-    for (let i = 0; i < majorCount; i++) {
-      const angle = startAngle + (i / (majorCount - 1)) * totalAngle;
+    for (const { value, fraction } of this._ticks.major) {
+      const angle = startAngle + fraction * totalAngle;
 
       // Check if in danger zone (temp/rpm redline)
-      const value = config.min + (i / (majorCount - 1)) * (config.max - config.min);
       const isDanger = (config.redlineStart && value >= config.redlineStart) ||
         (config.dangerStart && value >= config.dangerStart);
 
@@ -404,26 +398,21 @@ export default class GaugeRenderer {
     }
 
     // Minor ticks
-    if (config.minorTicks > 0) {
-      const totalMinor = (majorCount - 1) * config.minorTicks;
-      for (let i = 0; i <= totalMinor; i++) {
-        if (i % config.minorTicks === 0) continue; // Skip major tick positions
+    for (const fraction of this._ticks.minor) {
+      const angle = startAngle + fraction * totalAngle;
 
-        const angle = startAngle + (i / totalMinor) * totalAngle;
-
-        ctx.beginPath();
-        ctx.moveTo(
-          center + Math.cos(angle) * minorInner,
-          center + Math.sin(angle) * minorInner
-        );
-        ctx.lineTo(
-          center + Math.cos(angle) * minorOuter,
-          center + Math.sin(angle) * minorOuter
-        );
-        ctx.strokeStyle = colors.minorTicks;
-        ctx.lineWidth = 1;
-        ctx.stroke();
-      }
+      ctx.beginPath();
+      ctx.moveTo(
+        center + Math.cos(angle) * minorInner,
+        center + Math.sin(angle) * minorInner
+      );
+      ctx.lineTo(
+        center + Math.cos(angle) * minorOuter,
+        center + Math.sin(angle) * minorOuter
+      );
+      ctx.strokeStyle = colors.minorTicks;
+      ctx.lineWidth = 1;
+      ctx.stroke();
     }
 
     ctx.restore();
@@ -448,20 +437,20 @@ export default class GaugeRenderer {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
-    const majorCount = config.majorTicks;
+    const majors = this._ticks.major;
     const hasMicro = !!config.microTicks;
     const tickInnerRadius = faceRadius * (hasMicro ? 0.75 : 0.72);
 
     // Build labels and measure widest to compute optimal number radius
+    const format = config._formatTick || createFormatter(config.format);
     const labels = [];
     let maxTextWidth = 0;
-    for (let i = 0; i < majorCount; i++) {
+    for (let i = 0; i < majors.length; i++) {
       let label;
       if (config.customLabels) {
         label = config.customLabels[i] || '';
       } else {
-        const value = config.min + (i / (majorCount - 1)) * (config.max - config.min);
-        label = Math.round(value).toString();
+        label = format(majors[i].value);
       }
       labels.push(label);
       const w = ctx.measureText(label).width;
@@ -472,13 +461,13 @@ export default class GaugeRenderer {
     const gap = fontSize * 0.35;
     const numberRadius = tickInnerRadius - gap - maxTextWidth / 2;
 
-    for (let i = 0; i < majorCount; i++) {
-      const angle = startAngle + (i / (majorCount - 1)) * totalAngle;
+    for (let i = 0; i < majors.length; i++) {
+      const { value, fraction } = majors[i];
+      const angle = startAngle + fraction * totalAngle;
       const x = center + Math.cos(angle) * numberRadius;
       const y = center + Math.sin(angle) * numberRadius;
 
       // Danger zone coloring
-      const value = config.min + (i / (majorCount - 1)) * (config.max - config.min);
       const isDanger = (config.redlineStart && value >= config.redlineStart) ||
         (config.dangerStart && value >= config.dangerStart);
       ctx.fillStyle = isDanger ? colors.redline : colors.numbers;
@@ -528,39 +517,9 @@ export default class GaugeRenderer {
     ctx.restore();
   }
 
-  drawOdometer(ctx, center, radius) {
-    const width = radius * 0.5;
-    const height = radius * 0.15;
-    const x = center - width / 2;
-    const y = center + radius * 0.15;
-
-    ctx.save();
-
-    // Dark background
-    ctx.fillStyle = '#1A1A1A';
-    ctx.beginPath();
-    ctx.roundRect(x, y, width, height, 3);
-    ctx.fill();
-
-    // Inner bevel
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-    ctx.lineWidth = 0.5;
-    ctx.stroke();
-
-    // Odometer digits
-    const digitSize = height * 0.7;
-    ctx.font = `${digitSize}px "Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif`;
-    ctx.fillStyle = '#E0E0E0';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('012345', center, y + height / 2);
-
-    ctx.restore();
-  }
-
   drawGlassHighlight(ctx, center, radius) {
     const faceRadius = radius * 0.88;
-    const isDark = this.config.faceStyle === 'dark';
+    const opacity = this._resolvedColors.glass;
 
     ctx.save();
 
@@ -576,15 +535,12 @@ export default class GaugeRenderer {
       Math.PI * 0.85
     );
 
-    const highlightOpacity = isDark ? 0.15 : 0.35;
-    const highlightMid = isDark ? 0.06 : 0.15;
-
     const highlightGradient = ctx.createLinearGradient(
       center, center - faceRadius * 0.6,
       center, center - faceRadius * 0.1
     );
-    highlightGradient.addColorStop(0, `rgba(255, 255, 255, ${highlightOpacity})`);
-    highlightGradient.addColorStop(0.5, `rgba(255, 255, 255, ${highlightMid})`);
+    highlightGradient.addColorStop(0, `rgba(255, 255, 255, ${opacity})`);
+    highlightGradient.addColorStop(0.5, `rgba(255, 255, 255, ${opacity * 0.4})`);
     highlightGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
 
     ctx.fillStyle = highlightGradient;
@@ -598,9 +554,7 @@ export default class GaugeRenderer {
       center, center, faceRadius * 0.5,
       center, center, faceRadius
     );
-    vignetteGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-    vignetteGradient.addColorStop(0.8, 'rgba(0, 0, 0, 0)');
-    vignetteGradient.addColorStop(1, 'rgba(0, 0, 0, 0.08)');
+    this._addStops(vignetteGradient, this._resolvedColors.vignette);
 
     ctx.fillStyle = vignetteGradient;
     ctx.fill();
@@ -613,7 +567,7 @@ export default class GaugeRenderer {
     if (!ir) return;
 
     const ringRadius = radius * (ir.radius || 0.38);
-    const ringColor = ir.color || '#333333';
+    const ringColor = ir.color || this._resolvedColors.innerRing;
     const ringWidth = ir.width || 2;
 
     // Arc matches the gauge sweep (not a full circle)
@@ -630,6 +584,103 @@ export default class GaugeRenderer {
     ctx.restore();
   }
 
+  // ═══════════════════════════════════════════════════════════════════════
+  // FRAME COMPOSITION
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Composite the cached static layers and draw every per-frame layer.
+   * Expects ctx to be scaled to CSS pixels (origin at the gauge's top-left).
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} state  { angle, value, ringValues, complicationValues, timestamp },
+   *   plus needleAngles (one per config.needles entry, defaulting to angle)
+   *   and peak ({ max, min } held values, for config.peakHold) and
+   *   lampStates ({ [lamp id]: 'off' | 'on' | 'blink' }) and odometer (the
+   *   drum value to display, for config.odometer) and histories ([time, value]
+   *   samples by complication index, for sparklines)
+   */
+  renderFrame(ctx, state) {
+    const config = this.config;
+    const size = this.size;
+    const center = size / 2;
+    const radius = size * 0.45;
+    const { angle, value, timestamp = 0 } = state;
+    const ringValues = state.ringValues || [];
+    const complicationValues = state.complicationValues || [];
+
+    // 1. Composite cached static layers (or draw them directly when uncached)
+    if (this.staticCanvas) {
+      ctx.drawImage(this.staticCanvas, 0, 0, this.width, this.height);
+    } else {
+      this.renderStaticLayers(ctx);
+    }
+
+    // 2. Active ticks (illuminate ticks up to current value)
+    if (config.activeTicks) {
+      this.drawActiveTicks(ctx, center, radius, angle, config);
+    }
+
+    // 3. Progress arc (tracks needle angle)
+    if (config.progressArc) {
+      this.drawProgressArc(ctx, center, radius, angle, config);
+    }
+
+    // 3. Ring indicators (secondary data)
+    if (config.rings && config.rings.length > 0) {
+      this.drawRings(ctx, center, radius, ringValues, timestamp, config);
+    }
+
+    // 4. Warning lamps (on the face, under the needles)
+    if (config.lamps && config.lamps.length > 0) {
+      this.drawLamps(ctx, center, radius, state.lampStates || {}, timestamp, config);
+    }
+
+    // 4.5 Odometer drum
+    if (config._odometer) {
+      this.drawOdometer(ctx, center, radius, state.odometer || 0, config._odometer);
+    }
+
+    // 5. Peak/min hold tell-tales, under the needle they trail
+    if (config._peakHold && state.peak) {
+      this.drawPeakHold(ctx, center, radius, state.peak, config._peakHold);
+    }
+
+    // 6. Needle(s)
+    const needles = config.needles;
+    if (needles && needles.length > 0) {
+      const angles = state.needleAngles || [];
+      for (const i of this._needleOrder(needles)) {
+        this.drawNeedle(ctx, center, radius, angles[i] != null ? angles[i] : angle, needles[i]);
+      }
+    } else {
+      this.drawNeedle(ctx, center, radius, angle);
+    }
+
+    // 7. Center cap
+    this.drawCenterCap(ctx, center, radius);
+
+    // 8. Complications (sub-gauges)
+    if (config.complications && config.complications.length > 0) {
+      this.drawComplications(ctx, center, radius, complicationValues, config, state.histories, timestamp);
+    }
+
+    // 9. Digital display
+    const dd = config._digitalDisplay;
+    if (dd && dd.show) {
+      this.drawDigitalValue(ctx, center, radius, value, config.units, dd);
+    }
+
+    // 10. Custom draw hook
+    if (typeof config.onDraw === 'function') {
+      config.onDraw(ctx, {
+        center, radius,
+        value,
+        angle,
+        size, dpi: this.dpi, timestamp
+      });
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // PER-FRAME DRAWING (needle, cap, active ticks)
   // ═══════════════════════════════════════════════════════════════════════
@@ -643,7 +694,7 @@ export default class GaugeRenderer {
     const startAngle = (config.startAngle - 90) * Math.PI / 180;
     const endAngle = (config.endAngle - 90) * Math.PI / 180;
     const totalAngle = endAngle - startAngle;
-    const color = at.color || '#FF8800';
+    const color = at.color || this._resolvedColors.activeTicks;
 
     // Match inward shift from drawTicks when microTicks are present
     const hasMicro = !!config.microTicks;
@@ -656,9 +707,8 @@ export default class GaugeRenderer {
     ctx.lineCap = 'round';
 
     // Major ticks
-    const majorCount = config.majorTicks;
-    for (let i = 0; i < majorCount; i++) {
-      const angle = startAngle + (i / (majorCount - 1)) * totalAngle;
+    for (const { fraction } of this._ticks.major) {
+      const angle = startAngle + fraction * totalAngle;
       if (angle > currentAngle) break;
 
       ctx.beginPath();
@@ -670,37 +720,81 @@ export default class GaugeRenderer {
     }
 
     // Minor ticks
-    if (config.minorTicks > 0) {
-      const totalMinor = (majorCount - 1) * config.minorTicks;
-      for (let i = 0; i <= totalMinor; i++) {
-        if (i % config.minorTicks === 0) continue;
-        const angle = startAngle + (i / totalMinor) * totalAngle;
-        if (angle > currentAngle) break;
+    for (const fraction of this._ticks.minor) {
+      const angle = startAngle + fraction * totalAngle;
+      if (angle > currentAngle) break;
 
-        ctx.beginPath();
-        ctx.moveTo(center + Math.cos(angle) * minorInner, center + Math.sin(angle) * minorInner);
-        ctx.lineTo(center + Math.cos(angle) * minorOuter, center + Math.sin(angle) * minorOuter);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 1;
-        ctx.stroke();
-      }
+      ctx.beginPath();
+      ctx.moveTo(center + Math.cos(angle) * minorInner, center + Math.sin(angle) * minorInner);
+      ctx.lineTo(center + Math.cos(angle) * minorOuter, center + Math.sin(angle) * minorOuter);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.stroke();
     }
 
     ctx.restore();
   }
 
-  // Draw the needle (called each frame)
-  drawNeedle(ctx, center, radius, angle) {
-    const needleLength = radius * 0.70;
-    const needleWidth = radius * 0.04;
+  /**
+   * Draw max/min hold indicators: a thin tell-tale needle, or with
+   * style 'marker' a small pointer just inside the bezel.
+   * @param {object} peak  { max, min } held values
+   * @param {object} hold  Normalised config.peakHold
+   */
+  drawPeakHold(ctx, center, radius, peak, hold) {
+    const marks = [];
+    if (hold.max) marks.push([peak.max, hold.color || this._resolvedColors.peak]);
+    if (hold.min) marks.push([peak.min, hold.minColor || this._resolvedColors.minPeak]);
+
+    for (const [value, color] of marks) {
+      const angle = this.valueToAngle(value);
+
+      if (hold.style !== 'marker') {
+        this.drawNeedle(ctx, center, radius, angle, { shape: 'line', color, width: 0.025 });
+        continue;
+      }
+
+      const tip = radius * 0.80;
+      const base = radius * 0.88;
+      const half = radius * 0.035;
+      ctx.save();
+      ctx.translate(center, center);
+      ctx.rotate(angle);
+      ctx.beginPath();
+      ctx.moveTo(tip, 0);
+      ctx.lineTo(base, -half);
+      ctx.lineTo(base, half);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
+  // Needle indices in draw order: ascending `order`, then array order
+  _needleOrder(needles) {
+    return needles
+      .map((needle, i) => i)
+      .sort((a, b) => ((needles[a].order || 0) - (needles[b].order || 0)) || a - b);
+  }
+
+  /**
+   * Draw a needle (called each frame).
+   * @param {object} [needle]  Entry from config.needles: color, shape
+   *   ('classic' | 'slim' | 'line'), length and width (fractions of radius)
+   */
+  drawNeedle(ctx, center, radius, angle, needle = {}) {
+    const needleLength = radius * (needle.length || 0.70);
+    const needleWidth = radius * (needle.width || 0.04);
     const colors = this._resolvedColors;
-    const needleColor = colors.needle;
+    const needleColor = needle.color || colors.needle;
     const glowEnabled = this.config.needleGlow;
     const ir = this.config.innerRing;
+    const shape = needle.shape || 'classic';
 
     // When innerRing is set, needle starts from the ring instead of center
     const needleStart = ir ? radius * (ir.radius || 0.38) + 4 : 0;
-    const tailLength = ir ? 0 : radius * 0.15;
+    const tailLength = ir || shape !== 'classic' ? 0 : radius * 0.15;
 
     ctx.save();
     ctx.translate(center, center);
@@ -714,16 +808,30 @@ export default class GaugeRenderer {
       ctx.shadowOffsetX = 0;
       ctx.shadowOffsetY = 0;
     } else {
-      ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+      ctx.shadowColor = colors.needleShadow;
       ctx.shadowBlur = 4;
       ctx.shadowOffsetX = 2;
       ctx.shadowOffsetY = 2;
     }
 
+    // Line needle: a plain stroke, no gradient or outline
+    if (shape === 'line') {
+      ctx.beginPath();
+      ctx.moveTo(needleStart, 0);
+      ctx.lineTo(needleLength, 0);
+      ctx.strokeStyle = needleColor;
+      ctx.lineWidth = Math.max(1, needleWidth * 0.6);
+      ctx.lineCap = 'round';
+      ctx.stroke();
+      ctx.restore();
+      ctx.restore();
+      return;
+    }
+
     // Needle body — starts from needleStart (inner ring edge or near center)
     ctx.beginPath();
-    if (ir) {
-      // Shorter needle: from inner ring to tick area, no tail
+    if (ir || shape === 'slim') {
+      // Tail-less needle: from inner ring (or center) to tick area
       ctx.moveTo(needleStart, -needleWidth * 0.6);
       ctx.lineTo(needleLength - needleWidth * 2, -needleWidth * 0.4);
       ctx.lineTo(needleLength, 0);
@@ -750,7 +858,7 @@ export default class GaugeRenderer {
     ctx.fill();
 
     // Needle outline for definition
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.strokeStyle = colors.needleOutline;
     ctx.lineWidth = 0.5;
     ctx.stroke();
 
@@ -770,7 +878,7 @@ export default class GaugeRenderer {
     // Shadow
     ctx.beginPath();
     ctx.arc(center, center, capRadius, 0, Math.PI * 2);
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowColor = this._resolvedColors.capShadow;
     ctx.shadowBlur = 5;
     ctx.shadowOffsetY = 2;
 
@@ -779,10 +887,7 @@ export default class GaugeRenderer {
       center - capRadius * 0.3, center - capRadius * 0.3, 0,
       center, center, capRadius
     );
-    gradient.addColorStop(0, '#606060');
-    gradient.addColorStop(0.3, '#404040');
-    gradient.addColorStop(0.7, '#2A2A2A');
-    gradient.addColorStop(1, '#1A1A1A');
+    this._addStops(gradient, this._resolvedColors.cap);
 
     ctx.fillStyle = gradient;
     ctx.fill();
@@ -790,7 +895,7 @@ export default class GaugeRenderer {
     // Highlight ring
     ctx.beginPath();
     ctx.arc(center, center, capRadius * 0.7, 0, Math.PI * 2);
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.strokeStyle = this._resolvedColors.capHighlight;
     ctx.lineWidth = 1;
     ctx.stroke();
 
@@ -804,11 +909,13 @@ export default class GaugeRenderer {
     const baseFontSize = this.size * 0.06;
     const fontSize = baseFontSize * (displayConfig.fontSize || 1);
     const yOffset = displayConfig.y != null ? displayConfig.y : 0.55;
-    const color = displayConfig.color || '#00FF88';
+    const colors = this._resolvedColors;
+    const color = displayConfig.color || colors.digital;
     const showUnits = displayConfig.showUnits !== false;
     const showBackground = displayConfig.background !== false;
 
-    const valueText = Math.round(value).toString();
+    const format = this.config._formatValue || createFormatter(displayConfig.format);
+    const valueText = format(value);
     const textY = center + radius * yOffset;
 
     ctx.save();
@@ -822,11 +929,11 @@ export default class GaugeRenderer {
       const rx = center - rectWidth / 2;
       const ry = textY - rectHeight / 2;
 
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+      ctx.fillStyle = colors.digitalBackground;
       ctx.beginPath();
       ctx.roundRect(rx, ry, rectWidth, rectHeight, 4);
       ctx.fill();
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.strokeStyle = colors.digitalBorder;
       ctx.lineWidth = 0.5;
       ctx.stroke();
 
@@ -941,14 +1048,15 @@ export default class GaugeRenderer {
       return;
     }
     const fillEnd = Math.min(currentAngle, endAngle);
+    const gradient = arc.gradient || this._themeStops(this._resolvedColors.progressArc);
 
-    this._drawGradientArc(ctx, center, center, arcRadius, arcWidth, startAngle, fillEnd, startAngle, endAngle, arc.gradient || [{ at: 0, color: '#0066FF' }, { at: 1, color: '#FF2200' }]);
+    this._drawGradientArc(ctx, center, center, arcRadius, arcWidth, startAngle, fillEnd, startAngle, endAngle, gradient);
 
     // Optional glow effect
     if (arc.glow) {
       ctx.beginPath();
       ctx.arc(center, center, arcRadius, fillEnd - 0.05, fillEnd);
-      ctx.strokeStyle = this._interpolateGradient(arc.gradient || [{ at: 0, color: '#0066FF' }, { at: 1, color: '#FF2200' }], (fillEnd - startAngle) / (endAngle - startAngle));
+      ctx.strokeStyle = this._interpolateGradient(gradient, (fillEnd - startAngle) / (endAngle - startAngle));
       ctx.lineWidth = arcWidth * 2;
       ctx.shadowColor = ctx.strokeStyle;
       ctx.shadowBlur = arcWidth * 3;
@@ -976,8 +1084,8 @@ export default class GaugeRenderer {
       const endAngle = ring.endAngle != null ? (ring.endAngle - 90) * Math.PI / 180 : defaultEndAngle;
       const min = ring.min || 0;
       const max = ring.max != null ? ring.max : config.max;
-      const range = max - min;
-      const normalized = range > 0 ? Math.max(0, Math.min(1, (value - min) / range)) : 0;
+      const scale = (config._ringScales && config._ringScales[i]) || createScale(ring.scale, min, max);
+      const normalized = max > min ? Math.max(0, Math.min(1, scale.toFraction(value))) : 0;
       const fillEnd = startAngle + normalized * (endAngle - startAngle);
 
       // Background track
@@ -992,7 +1100,7 @@ export default class GaugeRenderer {
 
       // Filled portion
       if (normalized > 0) {
-        const gradient = ring.gradient || [{ at: 0, color: '#00CC44' }, { at: 1, color: '#FF2200' }];
+        const gradient = ring.gradient || this._themeStops(this._resolvedColors.ringGradient);
 
         if (ring.segments) {
           // Segmented bar: draw discrete blocks with gaps
@@ -1025,7 +1133,7 @@ export default class GaugeRenderer {
       // Flash effect when value exceeds threshold
       if (ring.flash && value >= ring.flash.above) {
         const rate = ring.flash.rate || 4;
-        const flashColor = ring.flash.color || 'rgba(255, 0, 0, 0.6)';
+        const flashColor = ring.flash.color || this._resolvedColors.ringFlash;
         const phase = Math.sin(timestamp / 1000 * rate * Math.PI * 2);
         const opacity = 0.3 + 0.7 * Math.max(0, phase);
 
@@ -1045,7 +1153,7 @@ export default class GaugeRenderer {
   }
 
   // Draw complications (sub-gauges like fuel bar)
-  drawComplications(ctx, center, radius, complicationValues, config) {
+  drawComplications(ctx, center, radius, complicationValues, config, histories = [], timestamp = 0) {
     const complications = config.complications;
     if (!complications || complications.length === 0) return;
 
@@ -1058,8 +1166,8 @@ export default class GaugeRenderer {
 
       ctx.save();
 
-      // Optional background
-      if (comp.background) {
+      // Optional background (round types; the others draw their own box)
+      if (comp.background && (comp.type === 'arc' || comp.type === 'dial')) {
         ctx.beginPath();
         ctx.arc(cx, cy, cr, 0, Math.PI * 2);
         ctx.fillStyle = comp.background;
@@ -1068,6 +1176,16 @@ export default class GaugeRenderer {
 
       if (comp.type === 'arc') {
         this._drawArcComplication(ctx, cx, cy, cr, value, comp, radius);
+      } else if (comp.type === 'dial') {
+        this._drawDialComplication(ctx, cx, cy, cr, value, comp);
+      } else if (comp.type === 'digital') {
+        this._drawDigitalComplication(ctx, cx, cy, value, comp, radius);
+      } else if (comp.type === 'bar') {
+        this._drawBarComplication(ctx, cx, cy, value, comp, radius);
+      } else if (comp.type === 'text') {
+        this._drawTextComplication(ctx, cx, cy, value, comp, radius);
+      } else if (comp.type === 'sparkline') {
+        this._drawSparklineComplication(ctx, cx, cy, histories[i] || [], comp, radius, timestamp, config);
       }
 
       ctx.restore();
@@ -1113,7 +1231,7 @@ export default class GaugeRenderer {
       const normalized = range > 0 ? Math.max(0, Math.min(1, (value - min) / range)) : 0;
       const fillEnd = startAngle + normalized * totalAngle;
       const fillWidth = arcWidth * (comp.fill.widthMultiplier || 1.5);
-      const fillColor = comp.fill.color || '#00CCAA';
+      const fillColor = comp.fill.color || this._resolvedColors.complicationFill;
 
       if (normalized > 0.001) {
         ctx.save();
@@ -1136,7 +1254,7 @@ export default class GaugeRenderer {
     // Draw tick marks
     if (comp.tickMarks && comp.tickMarks > 0) {
       ctx.save();
-      ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+      ctx.strokeStyle = this._resolvedColors.complicationTicks;
       ctx.lineWidth = 1;
       for (let i = 0; i <= comp.tickMarks; i++) {
         const angle = startAngle + (i / comp.tickMarks) * totalAngle;
@@ -1155,7 +1273,7 @@ export default class GaugeRenderer {
       const labelFontSize = comp.labelFontSize != null ? gaugeRadius * comp.labelFontSize : cr * 0.28;
       ctx.save();
       ctx.font = `bold ${labelFontSize}px "Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif`;
-      ctx.fillStyle = comp.labelColor || 'rgba(255,255,255,0.8)';
+      ctx.fillStyle = comp.labelColor || this._resolvedColors.complicationLabel;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       const inside = comp.labelSide === 'inside';
@@ -1185,13 +1303,13 @@ export default class GaugeRenderer {
       ctx.lineTo(pointerLen, -pointerW);
       ctx.lineTo(pointerLen, pointerW);
       ctx.closePath();
-      ctx.fillStyle = comp.pointerColor || '#FFFFFF';
+      ctx.fillStyle = comp.pointerColor || this._resolvedColors.complicationPointer;
       ctx.fill();
 
       // Center dot
       ctx.beginPath();
       ctx.arc(0, 0, cr * 0.08, 0, Math.PI * 2);
-      ctx.fillStyle = '#888888';
+      ctx.fillStyle = this._lightenColor(this._resolvedColors.complicationHub, 85);
       ctx.fill();
 
       ctx.restore();
@@ -1208,7 +1326,7 @@ export default class GaugeRenderer {
       ctx.beginPath();
       ctx.moveTo(cx + Math.cos(markerAngle) * inner, cy + Math.sin(markerAngle) * inner);
       ctx.lineTo(cx + Math.cos(markerAngle) * outer, cy + Math.sin(markerAngle) * outer);
-      ctx.strokeStyle = comp.markerColor || '#FFFFFF';
+      ctx.strokeStyle = comp.markerColor || this._resolvedColors.complicationPointer;
       ctx.lineWidth = Math.max(2, cr * 0.06);
       ctx.lineCap = 'round';
       ctx.stroke();
@@ -1216,6 +1334,334 @@ export default class GaugeRenderer {
     }
   }
 
+  // Formatter for a complication's `format`, built once per config object
+  _complicationFormat(comp) {
+    let format = this._complicationFormats.get(comp);
+    if (!format) {
+      format = createFormatter(comp.format);
+      this._complicationFormats.set(comp, format);
+    }
+    return format;
+  }
+
+  // Position of a value between the complication's min and max (0-1).
+  // Non-numeric values (e.g. a gear letter) sit at min.
+  _complicationLevel(value, comp) {
+    const min = comp.min || 0;
+    const max = comp.max != null ? comp.max : 1;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!isFinite(number) || max === min) return 0;
+    return Math.max(0, Math.min(1, (number - min) / (max - min)));
+  }
+
+  // Miniature gauge with its own ticks, numbers and pointer
+  _drawDialComplication(ctx, cx, cy, cr, value, comp) {
+    const colors = this._resolvedColors;
+    const start = (comp.startAngle != null ? comp.startAngle : -135) - 90;
+    const end = (comp.endAngle != null ? comp.endAngle : 135) - 90;
+    const angleAt = (fraction) => (start + fraction * (end - start)) * Math.PI / 180;
+    const min = comp.min || 0;
+    const max = comp.max != null ? comp.max : 1;
+    const majorTicks = Math.max(2, comp.majorTicks != null ? comp.majorTicks : 5);
+    const minorTicks = comp.minorTicks != null ? comp.minorTicks : 1;
+    const divisions = (majorTicks - 1) * (minorTicks + 1);
+
+    // Zone bands just inside the ticks
+    if (comp.zones) {
+      ctx.lineWidth = cr * 0.08;
+      for (const zone of comp.zones) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, cr * 0.82,
+          angleAt(this._complicationLevel(zone.start, comp)), angleAt(this._complicationLevel(zone.end, comp)),
+          end < start);
+        ctx.strokeStyle = zone.color;
+        ctx.stroke();
+      }
+    }
+
+    ctx.lineCap = 'round';
+    for (let i = 0; i <= divisions; i++) {
+      const major = i % (minorTicks + 1) === 0;
+      const angle = angleAt(i / divisions);
+      const inner = cr * (major ? 0.74 : 0.84);
+      ctx.beginPath();
+      ctx.moveTo(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner);
+      ctx.lineTo(cx + Math.cos(angle) * cr * 0.95, cy + Math.sin(angle) * cr * 0.95);
+      ctx.strokeStyle = comp.tickColor || (major ? colors.ticks : colors.minorTicks);
+      ctx.lineWidth = Math.max(1, cr * (major ? 0.05 : 0.025));
+      ctx.stroke();
+    }
+
+    const fontFamily = '"Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (comp.numbers !== false) {
+      const format = this._complicationFormat(comp);
+      // On a full circle the last number would land on the first
+      const count = Math.abs(end - start) >= 360 ? majorTicks - 1 : majorTicks;
+      ctx.font = `${cr * 0.22}px ${fontFamily}`;
+      ctx.fillStyle = comp.numberColor || colors.numbers;
+      for (let i = 0; i < count; i++) {
+        const angle = angleAt(i / (majorTicks - 1));
+        const text = format(min + (max - min) * i / (majorTicks - 1));
+        ctx.fillText(text, cx + Math.cos(angle) * cr * 0.52, cy + Math.sin(angle) * cr * 0.52);
+      }
+    }
+
+    if (comp.label) {
+      ctx.font = `bold ${cr * 0.18}px ${fontFamily}`;
+      ctx.fillStyle = comp.labelColor || colors.label;
+      ctx.fillText(comp.label, cx, cy + cr * 0.45);
+    }
+
+    // Pointer with a short tail, then the hub
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(angleAt(this._complicationLevel(value, comp)));
+    ctx.beginPath();
+    ctx.moveTo(-cr * 0.15, -cr * 0.04);
+    ctx.lineTo(cr * 0.85, 0);
+    ctx.lineTo(-cr * 0.15, cr * 0.04);
+    ctx.closePath();
+    ctx.fillStyle = comp.pointerColor || colors.needle;
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(0, 0, cr * 0.09, 0, Math.PI * 2);
+    ctx.fillStyle = comp.hubColor || colors.complicationHub;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Framed readout box. Strings (gear, mode, clock time) are shown as given.
+  _drawDigitalComplication(ctx, cx, cy, value, comp, gaugeRadius) {
+    const w = gaugeRadius * (comp.width || 0.4);
+    const h = gaugeRadius * (comp.height || 0.18);
+    const fontFamily = '"Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif';
+
+    if (comp.background !== false) {
+      ctx.beginPath();
+      ctx.roundRect(cx - w / 2, cy - h / 2, w, h, Math.min(4, h * 0.2));
+      ctx.fillStyle = comp.background || this._resolvedColors.digitalBackground;
+      ctx.fill();
+      ctx.strokeStyle = comp.borderColor || this._resolvedColors.digitalBorder;
+      ctx.lineWidth = comp.borderWidth || 0.5;
+      ctx.stroke();
+    }
+
+    const text = this._complicationFormat(comp)(value) + (comp.units ? ' ' + comp.units : '');
+    const fontSize = comp.fontSize != null ? gaugeRadius * comp.fontSize : h * 0.6;
+    ctx.font = `bold ${fontSize}px ${fontFamily}`;
+    ctx.fillStyle = comp.color || this._resolvedColors.digital;
+    ctx.textAlign = comp.align || 'center';
+    ctx.textBaseline = 'middle';
+    const inset = h * 0.25;
+    const x = comp.align === 'left' ? cx - w / 2 + inset : comp.align === 'right' ? cx + w / 2 - inset : cx;
+    ctx.fillText(text, x, cy);
+
+    // Caption above the box
+    if (comp.label) {
+      ctx.font = `bold ${h * 0.3}px ${fontFamily}`;
+      ctx.fillStyle = comp.labelColor || this._resolvedColors.label;
+      ctx.textAlign = 'center';
+      ctx.fillText(comp.label, cx, cy - h / 2 - h * 0.25);
+    }
+  }
+
+  // Straight level bar: horizontal fills left to right, vertical bottom to top
+  _drawBarComplication(ctx, cx, cy, value, comp, gaugeRadius) {
+    const vertical = comp.orientation === 'vertical';
+    const w = gaugeRadius * (comp.width || (vertical ? 0.08 : 0.5));
+    const h = gaugeRadius * (comp.height || (vertical ? 0.5 : 0.08));
+    const x0 = cx - w / 2;
+    const y0 = cy - h / 2;
+    const corner = Math.min(w, h) * 0.2;
+
+    // Rectangle covering the span between two levels
+    const span = (from, to) => vertical
+      ? [x0, y0 + h * (1 - to), w, h * (to - from)]
+      : [x0 + w * from, y0, w * (to - from), h];
+
+    ctx.beginPath();
+    ctx.roundRect(x0, y0, w, h, corner);
+    ctx.fillStyle = comp.background || this._resolvedColors.complicationBackground;
+    ctx.fill();
+
+    const zones = comp.zones || [];
+    for (const zone of zones) {
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = zone.color;
+      ctx.fillRect(...span(this._complicationLevel(zone.start, comp), this._complicationLevel(zone.end, comp)));
+      ctx.globalAlpha = 1;
+    }
+
+    // Fill takes the colour of the zone the value is in
+    const level = this._complicationLevel(value, comp);
+    const zone = zones.find(z => value >= z.start && value <= z.end);
+    if (level > 0) {
+      ctx.beginPath();
+      ctx.roundRect(...span(0, level), corner);
+      ctx.fillStyle = zone ? zone.color : comp.color || this._resolvedColors.complicationFill;
+      ctx.fill();
+    }
+
+    if (comp.tickMarks > 0) {
+      ctx.strokeStyle = comp.tickColor || this._resolvedColors.complicationTicks;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 1; i < comp.tickMarks; i++) {
+        const f = i / comp.tickMarks;
+        if (vertical) {
+          ctx.moveTo(x0, y0 + h * (1 - f));
+          ctx.lineTo(x0 + w, y0 + h * (1 - f));
+        } else {
+          ctx.moveTo(x0 + w * f, y0);
+          ctx.lineTo(x0 + w * f, y0 + h);
+        }
+      }
+      ctx.stroke();
+    }
+
+    // Label below a horizontal bar, above a vertical one
+    if (comp.label) {
+      const fontSize = gaugeRadius * (comp.labelFontSize || 0.06);
+      ctx.font = `bold ${fontSize}px "Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif`;
+      ctx.fillStyle = comp.labelColor || this._resolvedColors.label;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(comp.label, cx, vertical ? y0 - fontSize : y0 + h + fontSize);
+    }
+  }
+
+  // Value-bound label: `text` with {value} replaced by the formatted value
+  _drawTextComplication(ctx, cx, cy, value, comp, gaugeRadius) {
+    const template = comp.text != null ? String(comp.text) : '{value}';
+    const text = template.replace(/\{value\}/g, this._complicationFormat(comp)(value));
+    const fontSize = gaugeRadius * (comp.fontSize || 0.1);
+
+    ctx.font = `${comp.bold === false ? '' : 'bold '}${fontSize}px "Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif`;
+    ctx.fillStyle = comp.color || this._resolvedColors.label;
+    ctx.textAlign = comp.align || 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, cy);
+  }
+
+  /**
+   * Chart of a value's recent history: time runs left to right over the last
+   * `window` ms, ending at `now`. Drawn in a rectangle centred on (cx, cy),
+   * or with shape 'arc' in a band around it from startAngle to endAngle.
+   * @param {number[][]} samples  [time, value] pairs, oldest first
+   */
+  _drawSparklineComplication(ctx, cx, cy, samples, comp, gaugeRadius, now, config) {
+    const window = comp.window || 60000;
+    const since = now - window;
+
+    // Vertical range: fixed min/max, or autoscaled to the samples shown
+    let lo = comp.min;
+    let hi = comp.max;
+    if (lo == null || hi == null) {
+      const values = samples.map(sample => sample[1]);
+      const dataLo = values.length ? Math.min(...values) : 0;
+      const dataHi = values.length ? Math.max(...values) : 1;
+      const pad = dataHi > dataLo ? 0 : Math.abs(dataHi) * 0.1 || 1;
+      if (lo == null) lo = dataLo - pad;
+      if (hi == null) hi = dataHi + pad;
+    }
+    const level = (value) => hi > lo ? Math.max(0, Math.min(1, (value - lo) / (hi - lo))) : 0.5;
+
+    // (u, v) in [0, 1]² → canvas point; u is time, v is value
+    let point;
+    let edgeSteps = 1;
+    if (comp.shape === 'arc') {
+      const start = (comp.startAngle != null ? comp.startAngle : 240) - 90;
+      const end = (comp.endAngle != null ? comp.endAngle : 120) - 90;
+      const inner = gaugeRadius * (comp.innerRadius != null ? comp.innerRadius : 0.55);
+      const outer = gaugeRadius * (comp.outerRadius != null ? comp.outerRadius : 0.7);
+      point = (u, v) => {
+        const a = (start + u * (end - start)) * Math.PI / 180;
+        const r = inner + v * (outer - inner);
+        return [cx + Math.cos(a) * r, cy + Math.sin(a) * r];
+      };
+      edgeSteps = 48;
+    } else {
+      const w = gaugeRadius * (comp.width || 0.6);
+      const h = gaugeRadius * (comp.height || 0.2);
+      point = (u, v) => [cx - w / 2 + u * w, cy + h / 2 - v * h];
+    }
+
+    // Closed path of the band between two levels
+    const band = (v0, v1) => {
+      ctx.beginPath();
+      for (let k = 0; k <= edgeSteps; k++) ctx.lineTo(...point(k / edgeSteps, v0));
+      for (let k = edgeSteps; k >= 0; k--) ctx.lineTo(...point(k / edgeSteps, v1));
+      ctx.closePath();
+    };
+
+    if (comp.background) {
+      band(0, 1);
+      ctx.fillStyle = comp.background;
+      ctx.fill();
+    }
+    if (samples.length === 0) return;
+
+    // Each sample holds until the next; the last one holds until now
+    const points = samples.map(([time, value]) =>
+      point(Math.max(0, (time - since) / window), level(value)));
+    const last = samples[samples.length - 1][1];
+    points.push(point(1, level(last)));
+
+    const color = comp.color || this._resolvedColors.needle;
+    const lineWidth = gaugeRadius * (comp.lineWidth || 0.012);
+    const trace = () => {
+      ctx.beginPath();
+      for (const [x, y] of points) ctx.lineTo(x, y);
+    };
+
+    if (comp.style === 'area') {
+      const first = Math.max(0, (samples[0][0] - since) / window);
+      trace();
+      for (let k = edgeSteps; k >= 0; k--) {
+        ctx.lineTo(...point(first + (1 - first) * k / edgeSteps, 0));
+      }
+      ctx.closePath();
+      ctx.globalAlpha = comp.fillOpacity != null ? comp.fillOpacity : 0.3;
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.lineWidth = lineWidth;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = color;
+    trace();
+    ctx.stroke();
+
+    // Zone colours: redraw the line clipped to each zone's value band.
+    // Sparklines of the main value or a needle default to the gauge's zones.
+    const onMainScale = !comp.source || comp.source === 'value' || comp.source.startsWith('needle:');
+    const zones = comp.zoneColors ? comp.zones || (onMainScale ? effectiveZones(config) : []) : [];
+    for (const zone of zones) {
+      ctx.save();
+      band(level(zone.start), level(zone.end));
+      ctx.clip();
+      ctx.strokeStyle = zone.color || this._resolvedColors.zone;
+      trace();
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Current value dot
+    if (comp.dot !== false) {
+      const zone = zones.find(z => last >= z.start && last <= z.end);
+      const [x, y] = points[points.length - 1];
+      ctx.beginPath();
+      ctx.arc(x, y, lineWidth * 1.6, 0, Math.PI * 2);
+      ctx.fillStyle = zone ? zone.color || this._resolvedColors.zone : color;
+      ctx.fill();
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // COLOR UTILITIES
   // ═══════════════════════════════════════════════════════════════════════
@@ -1247,15 +1693,149 @@ export default class GaugeRenderer {
     }
   }
 
-  // Convert value to angle
-  valueToAngle(value) {
+  // Add theme gradient stops (bezel, cap, ...) to a canvas gradient
+  _addStops(gradient, stops) {
+    this._themeStops(stops).forEach(({ at, color }) => gradient.addColorStop(at, color));
+  }
+
+  // Theme gradient stops as { at, color }; plain colors spread evenly from 0 to 1
+  _themeStops(stops) {
+    return stops.map((stop, i) => typeof stop === 'object'
+      ? stop
+      : { at: stops.length > 1 ? i / (stops.length - 1) : 0, color: stop });
+  }
+
+  /**
+   * Draw the odometer as a row of rolling number wheels.
+   * @param {number} value  Displayed distance (fractional values roll the drum)
+   * @param {object} odo    Normalised config.odometer
+   */
+  drawOdometer(ctx, center, radius, value, odo) {
+    const wheels = odo.digits + (odo.tenths ? 1 : 0);
+    const height = radius * (odo.size || 0.15);
+    const cell = height * 0.62;
+    const width = cell * wheels + height * 0.2;
+    const x = center + (odo.x || 0) * radius - width / 2;
+    const y = center + (odo.y != null ? odo.y : 0.5) * radius - height / 2;
+    const font = '"Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif';
+    const color = odo.color || this._resolvedColors.odometer;
+    const background = odo.background || this._resolvedColors.odometerBackground;
+
+    ctx.save();
+
+    // Dark background
+    ctx.fillStyle = background;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 3);
+    ctx.fill();
+
+    // Inner bevel
+    ctx.strokeStyle = this._resolvedColors.odometerBevel;
+    ctx.lineWidth = 0.5;
+    ctx.stroke();
+
+    // Trip counters are marked A / B to the left of the drum
+    if (odo.display === 'tripA' || odo.display === 'tripB') {
+      ctx.font = `bold ${height * 0.5}px ${font}`;
+      ctx.fillStyle = this._resolvedColors.label;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(odo.display.slice(-1), x - height * 0.2, y + height / 2);
+    }
+
+    // Wheels: the current digit scrolls up as the next rolls in below it
+    const positions = drumPositions(value, wheels, odo.tenths ? 0.1 : 1);
+    const digitSize = height * 0.7;
+    ctx.font = `${digitSize}px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let i = 0; i < wheels; i++) {
+      const cx = x + height * 0.1 + cell * i;
+      const tenths = odo.tenths && i === wheels - 1;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(cx, y + height * 0.08, cell, height * 0.84);
+      ctx.clip();
+
+      // Tenths wheel in inverse colours
+      if (tenths) {
+        ctx.fillStyle = odo.tenthsBackground || color;
+        ctx.fillRect(cx, y, cell, height);
+      }
+      ctx.fillStyle = tenths ? odo.tenthsColor || background : color;
+
+      const digit = Math.floor(positions[i]);
+      const offset = (positions[i] - digit) * height;
+      const mid = y + height / 2 - offset;
+      ctx.fillText(String(digit), cx + cell / 2, mid);
+      ctx.fillText(String((digit + 1) % 10), cx + cell / 2, mid + height);
+      ctx.restore();
+    }
+
+    ctx.restore();
+  }
+
+  // Draw warning lamps; blinking lamps alternate on the frame timestamp
+  drawLamps(ctx, center, radius, lampStates, timestamp, config) {
+    for (const lamp of config.lamps) {
+      const icon = lampIcons[lamp.icon || lamp.id];
+      if (!icon) continue;
+
+      const state = lampStates[lamp.id] || lamp.state || 'off';
+      const rate = lamp.blinkRate || 1.5;  // Hz
+      const lit = state === 'on' || (state === 'blink' && (timestamp / 1000 * rate) % 1 < 0.5);
+      const color = lit ? lamp.color || icon.color : lamp.offColor || this._resolvedColors.lampOff;
+      const s = radius * (lamp.size || 0.09);
+
+      ctx.save();
+      ctx.translate(center + (lamp.x || 0) * radius, center + (lamp.y || 0) * radius);
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = s * 0.14;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      if (lit) {
+        ctx.shadowColor = color;
+        ctx.shadowBlur = s * 0.8;
+      }
+      icon.draw(ctx, s);
+      ctx.restore();
+    }
+  }
+
+  // Convert value to angle; `turns` for multi-revolution hands
+  valueToAngle(value, turns = 1) {
+    return valueToAngle(this.config, this._scale, value, turns);
+  }
+
+  // Major tick values and their sweep fractions, plus minor tick fractions.
+  // Minor ticks divide each major interval evenly in value, so on a log
+  // scale they bunch towards the upper end of each decade. On a full-circle
+  // dial the last major lands on the first and is dropped.
+  _tickLayout() {
     const config = this.config;
-    const normalized = (value - config.min) / (config.max - config.min);
-    const clamped = Math.max(0, Math.min(1, normalized));
+    const scale = this._scale;
+    const major = scale.majorValues(config.majorTicks)
+      .map(value => ({ value, fraction: scale.toFraction(value) }));
 
-    const startAngle = (config.startAngle - 90) * Math.PI / 180;
-    const endAngle = (config.endAngle - 90) * Math.PI / 180;
+    const minor = [];
+    if (config.minorTicks > 0) {
+      for (let i = 0; i < major.length - 1; i++) {
+        const from = major[i].value;
+        const to = major[i + 1].value;
+        for (let j = 1; j < config.minorTicks; j++) {
+          minor.push(scale.toFraction(from + (j / config.minorTicks) * (to - from)));
+        }
+      }
+    }
+
+    const fullCircle = Math.abs(config.endAngle - config.startAngle) >= 360;
+    if (fullCircle && config.geometry !== 'linear' && major.length > 1) {
+      major.pop();
+    }
 
-    return startAngle + clamped * (endAngle - startAngle);
+    return { major, minor };
   }
 }
@@ -0,0 +1,465 @@
+import GaugeRenderer from './GaugeRenderer.js';
+import { createFormatter } from './format.js';
+import { effectiveZones } from './config.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LINEAR GEOMETRY — bar, thermometer and tank-level gauges
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FONT = '"Helvetica Neue", "Segoe UI", Helvetica, Arial, sans-serif';
+
+/**
+ * Renders `geometry: 'linear'` gauges: a straight track with a liquid fill
+ * and/or pointer, and the dial's colours, zones, ticks, numbers, label and
+ * digital readout. Fills a width × height rectangle instead of a square.
+ *
+ * Needles still animate as angles (the same physics as the dial); the angle
+ * is mapped back onto the track through startAngle/endAngle.
+ *
+ * Rings, the progress arc, active/micro ticks and the inner ring are dial-only.
+ * Lamps, the odometer, complications and texts are placed as on a dial
+ * inscribed in the middle of the rectangle.
+ */
+export default class LinearRenderer extends GaugeRenderer {
+  /**
+   * @param {number} width   CSS pixel width
+   * @param {number} height  CSS pixel height
+   * @param {number} dpi
+   * @param {object} config  Resolved gauge config
+   * @param {object} [options]  As for GaugeRenderer
+   */
+  constructor(width, height, dpi, config, options = {}) {
+    super({ width, height }, dpi, config, options);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // LAYOUT
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Track ends, axis and text positions, computed once per renderer.
+  // `orientation` defaults to the container's longer side.
+  _layout() {
+    if (this._linear) return this._linear;
+
+    const { width, height, config } = this;
+    const vertical = config.orientation ? config.orientation === 'vertical' : height >= width;
+    const u = this.size;               // short side, the unit for all sizes
+    const pad = u * 0.1;
+    const track = u * 0.12;            // track thickness
+    const dd = config._digitalDisplay;
+    const digital = !!(dd && dd.show);
+
+    let layout;
+    if (vertical) {
+      // Label on top, track left of centre with the scale to its right,
+      // digital readout at the bottom
+      layout = {
+        axis: width * 0.36,
+        from: height - pad - (digital ? u * 0.34 : u * 0.1),
+        to: pad + u * 0.36,
+        label: [width / 2, pad + u * 0.08],
+        digital: [width / 2, height - pad - u * 0.16],
+      };
+    } else {
+      // Label top-left, digital readout top-right, scale below the track
+      layout = {
+        axis: pad + u * 0.36,
+        from: pad + u * 0.1,
+        to: width - pad - u * 0.1,
+        label: [pad + u * 0.04, pad + u * 0.08],
+        digital: [width - pad - u * 0.3, pad + u * 0.1],
+      };
+    }
+
+    this._linear = { ...layout, vertical, u, pad, track, tickStart: track / 2 + u * 0.04 };
+    return this._linear;
+  }
+
+  /**
+   * Canvas point `fraction` of the way along the track, `offset` px across it
+   * (positive toward the scale) and `shift` px further along it.
+   * @returns {number[]} [x, y]
+   */
+  _point(fraction, offset = 0, shift = 0) {
+    const l = this._layout();
+    const along = l.from + fraction * (l.to - l.from) + Math.sign(l.to - l.from) * shift;
+    return l.vertical ? [l.axis + offset, along] : [along, l.axis + offset];
+  }
+
+  // Rectangle [x, y, w, h] covering fractions from..to between two offsets,
+  // optionally extended past either end (px)
+  _span(from, to, offset0, offset1, extendFrom = 0, extendTo = extendFrom) {
+    const [x0, y0] = this._point(from, offset0, -extendFrom);
+    const [x1, y1] = this._point(to, offset1, extendTo);
+    return [Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0)];
+  }
+
+  // Track fraction for a needle angle (inverse of valueToAngle)
+  _angleFraction(angle) {
+    const start = (this.config.startAngle - 90) * Math.PI / 180;
+    const end = (this.config.endAngle - 90) * Math.PI / 180;
+    const fraction = end !== start ? (angle - start) / (end - start) : 0;
+    return Math.max(0, Math.min(1, fraction));
+  }
+
+  _isDanger(value) {
+    const config = this.config;
+    return (config.redlineStart && value >= config.redlineStart) ||
+      (config.dangerStart && value >= config.dangerStart);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STATIC LAYERS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  renderStaticLayers(ctx = this.staticCtx) {
+    if (ctx === this.staticCtx) {
+      ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    this.drawBezel(ctx);
+    this.drawFace(ctx);
+    this._inscribed(ctx, (center, radius) => this.drawTexts(ctx, center, radius));
+    this.drawTrack(ctx);
+    this.drawZones(ctx);
+    this.drawTicks(ctx);
+    this.drawNumbers(ctx);
+    this.drawLabel(ctx);
+    this.drawGlassHighlight(ctx);
+  }
+
+  // Run a dial-space drawing function on the square in the middle
+  _inscribed(ctx, draw) {
+    const u = this.size;
+    ctx.save();
+    ctx.translate((this.width - u) / 2, (this.height - u) / 2);
+    draw(u / 2, u * 0.45);
+    ctx.restore();
+  }
+
+  // Outer shadow and metallic frame
+  drawBezel(ctx) {
+    const { width, height } = this;
+    const u = this.size;
+    const inset = u * 0.03;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(inset, inset, width - inset * 2, height - inset * 2, u * 0.1);
+    ctx.fillStyle = this._resolvedColors.shadow;
+    ctx.shadowColor = this._resolvedColors.shadow;
+    ctx.shadowBlur = 15;
+    ctx.shadowOffsetY = 4;
+    ctx.fill();
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(inset, inset, width - inset * 2, height - inset * 2, u * 0.1);
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    this._addStops(gradient, this._resolvedColors.bezel);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.strokeStyle = this._resolvedColors.bezelStroke;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _faceRect() {
+    const inset = this.size * 0.08;
+    return [inset, inset, this.width - inset * 2, this.height - inset * 2];
+  }
+
+  drawFace(ctx) {
+    const base = this._resolvedColors.face;
+    const [x, y, w, h] = this._faceRect();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, this.size * 0.06);
+    const gradient = ctx.createLinearGradient(x, y, x + w, y + h);
+    if (this._dark) {
+      gradient.addColorStop(0, this._lightenColor(base, 20));
+      gradient.addColorStop(0.3, base);
+      gradient.addColorStop(1, this._darkenColor(base, 20));
+    } else {
+      gradient.addColorStop(0, base);
+      gradient.addColorStop(0.3, this._darkenColor(base, 3));
+      gradient.addColorStop(1, this._darkenColor(base, 12));
+    }
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.strokeStyle = this._resolvedColors.faceStroke;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Recessed channel the fill runs in
+  drawTrack(ctx) {
+    const { track } = this._layout();
+    const colors = this._resolvedColors;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(...this._span(0, 1, -track / 2, track / 2, track / 2), track / 2);
+    ctx.fillStyle = colors.track;
+    ctx.fill();
+    ctx.strokeStyle = colors.trackBorder;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Zone bands under the ticks
+  drawZones(ctx) {
+    const zones = this.config._zones || effectiveZones(this.config);
+    const { u, tickStart } = this._layout();
+
+    ctx.save();
+    for (const zone of zones) {
+      const from = Math.max(0, Math.min(1, this._scale.toFraction(zone.start)));
+      const to = Math.max(0, Math.min(1, this._scale.toFraction(zone.end)));
+      ctx.fillStyle = zone.color || this._resolvedColors.zone;
+      ctx.fillRect(...this._span(from, to, tickStart, tickStart + u * 0.07));
+    }
+    ctx.restore();
+  }
+
+  drawTicks(ctx) {
+    const colors = this._resolvedColors;
+    const { u, tickStart } = this._layout();
+
+    ctx.save();
+    ctx.lineCap = 'round';
+
+    for (const { value, fraction } of this._ticks.major) {
+      ctx.beginPath();
+      ctx.moveTo(...this._point(fraction, tickStart));
+      ctx.lineTo(...this._point(fraction, tickStart + u * 0.14));
+      ctx.strokeStyle = this._isDanger(value) ? colors.redline : colors.ticks;
+      ctx.lineWidth = this.size > 150 ? 2.5 : 2;
+      ctx.stroke();
+    }
+
+    for (const fraction of this._ticks.minor) {
+      ctx.beginPath();
+      ctx.moveTo(...this._point(fraction, tickStart));
+      ctx.lineTo(...this._point(fraction, tickStart + u * 0.08));
+      ctx.strokeStyle = colors.minorTicks;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  drawNumbers(ctx) {
+    const config = this.config;
+    const colors = this._resolvedColors;
+    const { u, tickStart, vertical } = this._layout();
+    const format = config._formatTick || createFormatter(config.format);
+    const fontSize = u * (config.majorTicks > 6 ? 0.09 : 0.11);
+
+    ctx.save();
+    ctx.font = `${fontSize}px ${FONT}`;
+    ctx.textAlign = vertical ? 'left' : 'center';
+    ctx.textBaseline = vertical ? 'middle' : 'top';
+
+    this._ticks.major.forEach(({ value, fraction }, i) => {
+      const label = config.customLabels ? config.customLabels[i] || '' : format(value);
+      ctx.fillStyle = this._isDanger(value) ? colors.redline : colors.numbers;
+      ctx.fillText(label, ...this._point(fraction, tickStart + u * 0.14 + fontSize * 0.35));
+    });
+
+    ctx.restore();
+  }
+
+  // Label with the units under it (vertical) or after it (horizontal)
+  drawLabel(ctx) {
+    const config = this.config;
+    const colors = this._resolvedColors;
+    const { u, vertical, label: [x, y] } = this._layout();
+    const maxWidth = vertical ? this.width - u * 0.3 : this.width * 0.45;
+    let fontSize = u * 0.1 * (config.labelFontSize || 1);
+
+    ctx.save();
+    ctx.font = `bold ${fontSize}px ${FONT}`;
+    const measured = ctx.measureText(config.label).width;
+    if (measured > maxWidth) {
+      fontSize *= maxWidth / measured;
+      ctx.font = `bold ${fontSize}px ${FONT}`;
+    }
+    ctx.fillStyle = colors.label;
+    ctx.textAlign = vertical ? 'center' : 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(config.label, x, y);
+
+    if (config.units && config.units !== config.label) {
+      const labelWidth = ctx.measureText(config.label).width;
+      ctx.font = `bold ${fontSize * 0.6}px ${FONT}`;
+      ctx.fillStyle = colors.units;
+      if (vertical) {
+        ctx.fillText(config.units, x, y + fontSize * 0.95);
+      } else {
+        ctx.fillText(config.units, x + labelWidth + (labelWidth ? fontSize * 0.4 : 0), y);
+      }
+    }
+    ctx.restore();
+  }
+
+  // Sheen over the upper part of the face
+  drawGlassHighlight(ctx) {
+    const [x, y, w, h] = this._faceRect();
+    const opacity = this._resolvedColors.glass * 0.85;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h * 0.45, this.size * 0.06);
+    const gradient = ctx.createLinearGradient(x, y, x, y + h * 0.45);
+    gradient.addColorStop(0, `rgba(255, 255, 255, ${opacity})`);
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PER-FRAME LAYERS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Composite the static layers and draw the per-frame layers. Takes the
+   * same state as GaugeRenderer.renderFrame.
+   */
+  renderFrame(ctx, state) {
+    const config = this.config;
+    const { angle, value, timestamp = 0 } = state;
+
+    if (this.staticCanvas) {
+      ctx.drawImage(this.staticCanvas, 0, 0, this.width, this.height);
+    } else {
+      this.renderStaticLayers(ctx);
+    }
+
+    this._inscribed(ctx, (center, radius) => {
+      if (config.lamps && config.lamps.length > 0) {
+        this.drawLamps(ctx, center, radius, state.lampStates || {}, timestamp, config);
+      }
+      if (config._odometer) {
+        this.drawOdometer(ctx, center, radius, state.odometer || 0, config._odometer);
+      }
+    });
+
+    if (config._peakHold && state.peak) {
+      this.drawPeakMarks(ctx, state.peak, config._peakHold);
+    }
+
+    const needles = config.needles;
+    if (needles && needles.length > 0) {
+      const angles = state.needleAngles || [];
+      for (const i of this._needleOrder(needles)) {
+        this.drawIndicator(ctx, angles[i] != null ? angles[i] : angle, needles[i], i === 0);
+      }
+    } else {
+      this.drawIndicator(ctx, angle, {}, true);
+    }
+
+    this._inscribed(ctx, (center, radius) => {
+      if (config.complications && config.complications.length > 0) {
+        this.drawComplications(ctx, center, radius, state.complicationValues || [], config,
+          state.histories, timestamp);
+      }
+    });
+
+    const dd = config._digitalDisplay;
+    if (dd && dd.show) {
+      const [x, y] = this._layout().digital;
+      ctx.save();
+      ctx.translate(x, y);
+      this.drawDigitalValue(ctx, 0, this.size * 0.45, value, config.units, { ...dd, y: 0 });
+      ctx.restore();
+    }
+
+    if (typeof config.onDraw === 'function') {
+      config.onDraw(ctx, {
+        value,
+        angle,
+        width: this.width,
+        height: this.height,
+        size: this.size,
+        dpi: this.dpi,
+        timestamp,
+        point: (fraction, offset) => this._point(fraction, offset),
+      });
+    }
+  }
+
+  /**
+   * Draw one needle's indicator. The primary needle draws as set by
+   * config.indicator: 'fill' (liquid column, default), 'pointer' (triangle
+   * beside the track) or 'both'; secondary needles draw as pointers.
+   */
+  drawIndicator(ctx, angle, needle = {}, primary = false) {
+    const { u, track } = this._layout();
+    const fraction = this._angleFraction(angle);
+    const style = primary ? this.config.indicator || 'fill' : 'pointer';
+    const color = needle.color || this._resolvedColors.needle;
+
+    ctx.save();
+
+    if (style !== 'pointer') {
+      const half = track * 0.3;
+      // Starts inside the track's rounded end; the rounded top sits on the value
+      const [x, y, w, h] = this._span(0, fraction, -half, half, half, 0);
+      const [gx0, gy0] = this._point(0, -half);
+      const [gx1, gy1] = this._point(0, half);
+      const gradient = ctx.createLinearGradient(gx0, gy0, gx1, gy1);
+      gradient.addColorStop(0, this._lightenColor(color, 60));
+      gradient.addColorStop(0.4, color);
+      gradient.addColorStop(1, this._darkenColor(color, 40));
+      ctx.beginPath();
+      ctx.roundRect(x, y, w, h, half);
+      ctx.fillStyle = gradient;
+      ctx.fill();
+    }
+
+    if (style !== 'fill') {
+      const size = u * 0.07;
+      const tip = -track / 2 - u * 0.01;
+      ctx.beginPath();
+      ctx.moveTo(...this._point(fraction, tip));
+      ctx.lineTo(...this._point(fraction, tip - size * 1.4, -size * 0.7));
+      ctx.lineTo(...this._point(fraction, tip - size * 1.4, size * 0.7));
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.shadowColor = this._resolvedColors.needleShadow;
+      ctx.shadowBlur = 3;
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  // Peak/min hold: short bars across the track at the held values
+  drawPeakMarks(ctx, peak, hold) {
+    const { track } = this._layout();
+    const marks = [];
+    if (hold.max) marks.push([peak.max, hold.color || this._resolvedColors.peak]);
+    if (hold.min) marks.push([peak.min, hold.minColor || this._resolvedColors.minPeak]);
+
+    ctx.save();
+    ctx.lineWidth = Math.max(2, track * 0.2);
+    ctx.lineCap = 'round';
+    for (const [value, color] of marks) {
+      const fraction = this._angleFraction(this.valueToAngle(value));
+      ctx.beginPath();
+      ctx.moveTo(...this._point(fraction, -track * 0.7));
+      ctx.lineTo(...this._point(fraction, track * 0.7));
+      ctx.strokeStyle = color;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
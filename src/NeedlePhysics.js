@@ -22,10 +22,7 @@ export default class NeedlePhysics {
     this.targetAngle = 0;     // Target angle from value
 
     // Spring-damper parameters (tuned per gauge type)
-    this.stiffness = config.stiffness || 120;
-    this.damping = config.damping || 18;
-    this.maxVelocity = config.maxVelocity || 20;      // rad/s
-    this.maxAccel = config.maxAccel || 100;           // rad/s²
+    this.configure(config);
 
     // Fixed timestep accumulator
     this.accumulator = 0;
@@ -35,14 +32,36 @@ export default class NeedlePhysics {
     this.vibrationEnabled = false;
     this.vibrationAmount = 0.002;  // radians
 
-    // Reduced motion support — listen for changes
-    this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-    this.reducedMotion = this._motionQuery.matches;
+    // Reduced motion support — listen for changes (workers have no matchMedia;
+    // their owner sets reducedMotion directly)
+    this._motionQuery = typeof matchMedia === 'function'
+      ? matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+    this.reducedMotion = this._motionQuery ? this._motionQuery.matches : false;
     this._onMotionChange = (e) => { this.reducedMotion = e.matches; };
-    this._motionQuery.addEventListener('change', this._onMotionChange);
+    if (this._motionQuery) {
+      this._motionQuery.addEventListener('change', this._onMotionChange);
+    }
+  }
+
+  // Apply spring-damper parameters from a gauge config (safe to call while animating)
+  configure(config) {
+    this.stiffness = config.stiffness || 120;
+    this.damping = config.damping || 18;
+    this.maxVelocity = config.maxVelocity || 20;      // rad/s
+    this.maxAccel = config.maxAccel || 100;           // rad/s²
+
+    // Wrapping scales: angles one sweep apart are the same dial position, so
+    // a new target is moved to the copy nearest the needle, and the needle is
+    // re-based onto the dial's own sweep (from `origin`) once it crosses the seam
+    this.period = config.wrap ? Math.abs(config.endAngle - config.startAngle) * Math.PI / 180 : 0;
+    this.origin = (Math.min(config.startAngle, config.endAngle) - 90) * Math.PI / 180;
   }
 
   setTarget(angle, immediate = false) {
+    if (this.period > 0 && !immediate) {
+      angle += this.period * Math.round((this.angle - angle) / this.period);
+    }
     this.targetAngle = angle;
 
     if (immediate) {
@@ -77,6 +96,7 @@ export default class NeedlePhysics {
       this.step(FIXED_TIMESTEP);
       this.accumulator -= FIXED_TIMESTEP;
     }
+    if (this.period > 0) this._rebase();
 
     // Add subtle vibration if enabled (RPM gauge effect)
     let outputAngle = this.angle;
@@ -108,8 +128,20 @@ export default class NeedlePhysics {
     this.angle += this.velocity * dt;
   }
 
+  // Shift angle and target by whole turns so the angle stays within
+  // origin..origin + period. The spring only sees their difference, so the
+  // motion is unchanged.
+  _rebase() {
+    const turns = Math.floor((this.angle - this.origin) / this.period);
+    if (turns === 0 || !isFinite(turns)) return;
+    this.angle -= turns * this.period;
+    this.targetAngle -= turns * this.period;
+  }
+
   destroy() {
-    this._motionQuery.removeEventListener('change', this._onMotionChange);
+    if (this._motionQuery) {
+      this._motionQuery.removeEventListener('change', this._onMotionChange);
+    }
   }
 
   // Check if needle has settled (for sweep animation completion)
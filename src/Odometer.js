@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ODOMETER — total and trip counters with drum-roll display
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ROLL_TIME = 0.25;        // s, time constant of the drum catching up
+const MS_PER_HOUR = 3600000;
+
+/**
+ * Distance counters for a gauge. The counters change instantly; `shown` is
+ * the value the drum displays, which rolls toward the selected counter a
+ * little each frame.
+ *
+ * With `integrate` set, distance accumulates from the speed readings given
+ * to setSpeed(): each reading holds until the next, so nothing is lost while
+ * the gauge is idle or off screen.
+ */
+export default class Odometer {
+  constructor(options = {}) {
+    this.total = options.value || 0;
+    this.tripA = 0;
+    this.tripB = 0;
+    this.shown = this.total;
+
+    this._speed = 0;
+    this._speedTime = null;
+    this.lastTime = null;
+
+    this.configure(options);
+  }
+
+  // Apply options from config.odometer (safe to call at any time)
+  configure(options) {
+    // Distance per (speed unit × hour): true counts km from km/h (or miles from mph)
+    this.factor = options.integrate === true ? 1 : Number(options.integrate) || 0;
+  }
+
+  // Set the total; increases also advance both trip counters
+  set(total) {
+    const delta = total - this.total;
+    if (delta > 0) {
+      this.tripA += delta;
+      this.tripB += delta;
+    }
+    this.total = total;
+  }
+
+  resetTrip(trip) {
+    if (trip === 'B') this.tripB = 0;
+    else this.tripA = 0;
+  }
+
+  // Counter value by display name: 'total' | 'tripA' | 'tripB'
+  read(display) {
+    return display === 'tripA' || display === 'tripB' ? this[display] : this.total;
+  }
+
+  // Record a speed reading, first integrating the previous one up to `now` (ms)
+  setSpeed(speed, now) {
+    this.advance(now);
+    this._speed = isFinite(speed) ? Math.max(0, speed) : 0;
+  }
+
+  advance(now) {
+    if (this._speedTime !== null && now <= this._speedTime) return;
+    if (this.factor && this._speedTime !== null) {
+      const distance = this._speed * this.factor * (now - this._speedTime) / MS_PER_HOUR;
+      this.total += distance;
+      this.tripA += distance;
+      this.tripB += distance;
+    }
+    this._speedTime = now;
+  }
+
+  // True while integration keeps the counters moving
+  isRunning() {
+    return this.factor > 0 && this._speed > 0;
+  }
+
+  // Roll the drum toward `target` and return the displayed value
+  update(currentTime, target) {
+    if (this.lastTime === null) {
+      this.lastTime = currentTime;
+      return this.shown;
+    }
+
+    const dt = Math.max(0, (currentTime - this.lastTime) / 1000);
+    this.lastTime = currentTime;
+
+    this.shown += (target - this.shown) * (1 - Math.exp(-dt / ROLL_TIME));
+    if (!isFinite(this.shown) || Math.abs(target - this.shown) < 1e-4) {
+      this.shown = target;
+    }
+    return this.shown;
+  }
+
+  isSettled(target) {
+    return this.shown === target;
+  }
+}
+
+/**
+ * Drum positions for a counter value: one continuous position per wheel,
+ * most significant first. A wheel turns only while every wheel below it is
+ * rolling over from 9 to 0, as on a mechanical counter.
+ * @param {number} value
+ * @param {number} wheels  Number of wheels
+ * @param {number} unit    Value of one step of the last wheel (0.1 with tenths)
+ * @returns {number[]} Positions in [0, 10)
+ */
+export function drumPositions(value, wheels, unit) {
+  const steps = Math.max(0, value / unit);
+  const positions = [];
+
+  for (let k = wheels - 1; k >= 0; k--) {
+    const place = Math.pow(10, k);
+    const digit = Math.floor(steps / place) % 10;
+    const rest = steps % place;
+    // All lower wheels at 9: this one turns with the last wheel's fraction
+    const carry = rest > place - 1 ? rest - (place - 1) : 0;
+    positions.push((digit + carry) % 10);
+  }
+
+  return positions;
+}
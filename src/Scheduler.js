@@ -0,0 +1,140 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED ANIMATION SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Dedicated workers without requestAnimationFrame fall back to a ~60Hz timer
+const requestFrame = typeof requestAnimationFrame === 'function'
+  ? (cb) => requestAnimationFrame(cb)
+  : (cb) => setTimeout(() => cb(performance.now()), 16);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+  ? (id) => cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+/**
+ * Drives every gauge from a single requestAnimationFrame loop.
+ *
+ * A gauge is "awake" until a frame leaves it idle (needle settled, nothing
+ * time-based running), after which it is no longer drawn until woken by a
+ * value change, resize or config update. Gauges scrolled out of view and
+ * all gauges in a hidden tab are skipped. The loop stops entirely when there
+ * is nothing left to draw.
+ */
+class Scheduler {
+  constructor() {
+    this._gauges = new Set();
+    this._awake = new Set();
+    this._frameId = null;
+    this._observer = null;
+    this._inView = new WeakMap();  // last IntersectionObserver result per gauge
+    this._tick = this._tick.bind(this);
+
+    this._onVisibilityChange = () => {
+      for (const gauge of this._gauges) this._updateVisibility(gauge);
+    };
+  }
+
+  add(gauge) {
+    if (this._gauges.size === 0 && typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+    this._gauges.add(gauge);
+
+    const observer = this._getObserver();
+    if (observer && gauge._element) observer.observe(gauge._element);
+
+    this.wake(gauge);
+  }
+
+  remove(gauge) {
+    this._gauges.delete(gauge);
+    this._awake.delete(gauge);
+    if (this._observer && gauge._element) this._observer.unobserve(gauge._element);
+
+    if (this._gauges.size === 0) {
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      }
+      if (this._frameId !== null) {
+        cancelFrame(this._frameId);
+        this._frameId = null;
+      }
+    }
+  }
+
+  // Schedule a gauge for drawing until it next reports idle
+  wake(gauge) {
+    if (!this._gauges.has(gauge)) return;
+    this._awake.add(gauge);
+    this._requestFrame();
+  }
+
+  _tick(timestamp) {
+    this._frameId = null;
+
+    for (const gauge of this._awake) {
+      if (!gauge._isVisible) continue;
+
+      // A throwing gauge (e.g. its onDraw hook) sleeps until next woken
+      // instead of stopping the loop every other gauge shares
+      try {
+        gauge._render(timestamp);
+        if (gauge._isIdle()) {
+          this._awake.delete(gauge);
+          gauge._pause();
+        }
+      } catch (error) {
+        this._awake.delete(gauge);
+        console.error('Gauge: render failed', error);
+      }
+    }
+
+    this._requestFrame();
+  }
+
+  _requestFrame() {
+    if (this._frameId !== null || this._pageHidden()) return;
+
+    for (const gauge of this._awake) {
+      if (gauge._isVisible) {
+        this._frameId = requestFrame(this._tick);
+        return;
+      }
+    }
+  }
+
+  _pageHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  }
+
+  // A gauge is visible while in view and the tab is shown. Both changes go
+  // through _setVisible so worker-mode gauges hear about them too.
+  _updateVisibility(gauge) {
+    const visible = !this._pageHidden() && this._inView.get(gauge) !== false;
+    gauge._setVisible(visible);
+    if (visible) {
+      this._requestFrame();
+    } else {
+      gauge._pause();
+    }
+  }
+
+  // One IntersectionObserver shared by all gauges (null where unsupported)
+  _getObserver() {
+    if (this._observer || typeof IntersectionObserver === 'undefined') return this._observer;
+
+    this._observer = new IntersectionObserver(entries => {
+      for (const entry of entries) {
+        for (const gauge of this._gauges) {
+          if (gauge._element !== entry.target) continue;
+
+          this._inView.set(gauge, entry.isIntersecting);
+          this._updateVisibility(gauge);
+        }
+      }
+    });
+    return this._observer;
+  }
+}
+
+// Module-level singleton shared by every Gauge instance
+export default new Scheduler();
@@ -0,0 +1,419 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SVG BACKEND — CanvasRenderingContext2D subset that records vector output
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Implements the part of the 2D canvas API that GaugeRenderer uses, but
+ * records paths, gradients and text as SVG elements instead of pixels, so
+ * the same drawing code can export crisp vector art.
+ *
+ * Paths are stored in output coordinates (the current transform is applied
+ * as they are built, like canvas does). Transforms are assumed to be
+ * similarity transforms (translate, rotate, uniform scale), which is all
+ * the renderer uses.
+ */
+
+const TAU = Math.PI * 2;
+
+// Round to 3 decimals and drop trailing zeros to keep output compact
+function num(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Split a CSS font shorthand into SVG presentation attributes
+function fontAttributes(font) {
+  const match = /^\s*(?:(italic|oblique)\s+)?(?:(normal|bold|bolder|lighter|\d{3})\s+)?(\d*\.?\d+)px\s+(.+)$/.exec(font);
+  if (!match) return `style="font: ${escapeXml(font)}"`;
+
+  const [, style, weight, size, family] = match;
+  return `font-family="${escapeXml(family.replace(/"/g, "'"))}" font-size="${num(parseFloat(size))}"` +
+    (weight ? ` font-weight="${weight}"` : '') +
+    (style ? ` font-style="${style}"` : '');
+}
+
+// Canvas arc() sweep semantics: clamp to one turn, direction from the flag
+function arcSweep(startAngle, endAngle, counterclockwise) {
+  if (!counterclockwise) {
+    const delta = endAngle - startAngle;
+    if (delta >= TAU) return TAU;
+    return ((delta % TAU) + TAU) % TAU;
+  }
+  const delta = startAngle - endAngle;
+  if (delta >= TAU) return -TAU;
+  return -(((delta % TAU) + TAU) % TAU);
+}
+
+class SvgGradient {
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+}
+
+export default class SvgContext {
+  /**
+   * @param {number} width   Output width in pixels
+   * @param {number} height  Output height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.globalAlpha = 1;
+    this.shadowColor = 'rgba(0, 0, 0, 0)';
+    this.shadowBlur = 0;
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+
+    this._matrix = [1, 0, 0, 1, 0, 0];
+    this._stack = [];
+    this._path = [];
+    this._current = null;
+    this._subpathStart = null;
+
+    this._clip = null;  // id of the active <clipPath>
+
+    this._defs = [];
+    this._elements = [];
+    this._gradientIds = new Map();
+    this._filterIds = new Map();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // STATE & TRANSFORMS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  save() {
+    this._stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      globalAlpha: this.globalAlpha,
+      shadowColor: this.shadowColor,
+      shadowBlur: this.shadowBlur,
+      shadowOffsetX: this.shadowOffsetX,
+      shadowOffsetY: this.shadowOffsetY,
+      matrix: this._matrix.slice(),
+      clip: this._clip,
+    });
+  }
+
+  restore() {
+    const state = this._stack.pop();
+    if (!state) return;
+    const { matrix, clip, ...props } = state;
+    Object.assign(this, props);
+    this._matrix = matrix;
+    this._clip = clip;
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this._matrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this._matrix;
+    this._matrix = [
+      ma * a + mc * b, mb * a + md * b,
+      ma * c + mc * d, mb * c + md * d,
+      ma * e + mc * f + me, mb * e + md * f + mf,
+    ];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  _point(x, y) {
+    const [a, b, c, d, e, f] = this._matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  // Uniform scale factor of the current transform
+  _scaleFactor() {
+    const [a, b, c, d] = this._matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PATHS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  beginPath() {
+    this._path = [];
+    this._current = null;
+    this._subpathStart = null;
+  }
+
+  moveTo(x, y) {
+    const p = this._point(x, y);
+    this._path.push(`M${num(p[0])} ${num(p[1])}`);
+    this._current = p;
+    this._subpathStart = p;
+  }
+
+  lineTo(x, y) {
+    if (!this._current) {
+      this.moveTo(x, y);
+      return;
+    }
+    const p = this._point(x, y);
+    this._path.push(`L${num(p[0])} ${num(p[1])}`);
+    this._current = p;
+  }
+
+  closePath() {
+    if (!this._current) return;
+    this._path.push('Z');
+    this._current = this._subpathStart;
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+  }
+
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+    const sweep = arcSweep(startAngle, endAngle, counterclockwise);
+    const cosR = Math.cos(rotation);
+    const sinR = Math.sin(rotation);
+    const pointAt = (t) => {
+      const ex = radiusX * Math.cos(t);
+      const ey = radiusY * Math.sin(t);
+      return this._point(x + ex * cosR - ey * sinR, y + ex * sinR + ey * cosR);
+    };
+
+    const start = pointAt(startAngle);
+    if (this._current) {
+      this._path.push(`L${num(start[0])} ${num(start[1])}`);
+    } else {
+      this._path.push(`M${num(start[0])} ${num(start[1])}`);
+      this._subpathStart = start;
+    }
+    this._current = start;
+    if (sweep === 0) return;
+
+    const [a, b, c, d] = this._matrix;
+    const flipped = a * d - b * c < 0;
+    const scale = this._scaleFactor();
+    const rx = num(radiusX * scale);
+    const ry = num(radiusY * scale);
+    const xRotation = num((rotation + Math.atan2(b, a)) * 180 / Math.PI);
+    const sweepFlag = (sweep > 0) !== flipped ? 1 : 0;
+
+    // Split into half-turn pieces so full circles and large-arc flags are unambiguous
+    const pieces = Math.max(1, Math.ceil(Math.abs(sweep) / Math.PI - 1e-9));
+    for (let i = 1; i <= pieces; i++) {
+      const p = pointAt(startAngle + sweep * (i / pieces));
+      this._path.push(`A${rx} ${ry} ${xRotation} 0 ${sweepFlag} ${num(p[0])} ${num(p[1])}`);
+      this._current = p;
+    }
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  roundRect(x, y, width, height, radii = 0) {
+    const r = Math.min(Array.isArray(radii) ? radii[0] || 0 : radii, width / 2, height / 2);
+    if (r <= 0) {
+      this.rect(x, y, width, height);
+      return;
+    }
+    this.moveTo(x + r, y);
+    this.lineTo(x + width - r, y);
+    this.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+    this.lineTo(x + width, y + height - r);
+    this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+    this.lineTo(x + r, y + height);
+    this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+    this.lineTo(x, y + r);
+    this.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5);
+    this.closePath();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PAINTING
+  // ═══════════════════════════════════════════════════════════════════════
+
+  fill() {
+    if (this._path.length === 0) return;
+    this._elements.push(`<path d="${this._path.join('')}" fill="${this._paint(this.fillStyle)}"${this._effects()}/>`);
+  }
+
+  stroke() {
+    if (this._path.length === 0) return;
+    const width = num(this.lineWidth * this._scaleFactor());
+    this._elements.push(
+      `<path d="${this._path.join('')}" fill="none" stroke="${this._paint(this.strokeStyle)}" ` +
+      `stroke-width="${width}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${this._effects()}/>`
+    );
+  }
+
+  fillRect(x, y, width, height) {
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+  }
+
+  strokeRect(x, y, width, height) {
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+  }
+
+  // Output starts transparent; nothing to clear
+  clearRect() {}
+
+  // Intersect the clip region with the current path (nested clipPaths)
+  clip() {
+    if (this._path.length === 0) return;
+    const id = `c${this._defs.length}`;
+    const parent = this._clip ? ` clip-path="url(#${this._clip})"` : '';
+    this._defs.push(`<clipPath id="${id}"${parent}><path d="${this._path.join('')}"/></clipPath>`);
+    this._clip = id;
+  }
+
+  // Raster images have no vector form (static layers are drawn directly instead)
+  drawImage() {}
+
+  fillText(text, x, y) {
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = {
+      middle: 'central',
+      top: 'text-before-edge',
+      hanging: 'hanging',
+      bottom: 'text-after-edge',
+    }[this.textBaseline];
+
+    const m = this._matrix.map(num).join(' ');
+    const element =
+      `<text x="${num(x)}" y="${num(y)}" transform="matrix(${m})" ` +
+      `${fontAttributes(this.font)} fill="${this._paint(this.fillStyle)}" ` +
+      `text-anchor="${anchor}"${baseline ? ` dominant-baseline="${baseline}"` : ''}${this._effects(false)}>` +
+      `${escapeXml(text)}</text>`;
+    this._elements.push(this._clip ? `<g clip-path="url(#${this._clip})">${element}</g>` : element);
+  }
+
+  // Approximate metrics from the font size (no font rasteriser available)
+  measureText(text) {
+    const match = /(\d*\.?\d+)px/.exec(this.font);
+    const fontSize = match ? parseFloat(match[1]) : 10;
+    return { width: String(text).length * fontSize * 0.55 };
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient('linear', { x0, y0, x1, y1 });
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgGradient('radial', { x0, y0, r0, x1, y1, r1 });
+  }
+
+  // Resolve a fill/stroke style to an SVG paint value
+  _paint(style) {
+    if (!(style instanceof SvgGradient)) return escapeXml(style);
+
+    // Gradients live in the user space active when painting, like canvas
+    const transform = this._matrix.map(num).join(' ');
+    const stops = style.stops
+      .map(s => `<stop offset="${num(s.offset)}" stop-color="${escapeXml(s.color)}"/>`)
+      .join('');
+    const c = style.coords;
+    const attrs = style.type === 'linear'
+      ? `x1="${num(c.x0)}" y1="${num(c.y0)}" x2="${num(c.x1)}" y2="${num(c.y1)}"`
+      : `fx="${num(c.x0)}" fy="${num(c.y0)}" fr="${num(c.r0)}" cx="${num(c.x1)}" cy="${num(c.y1)}" r="${num(c.r1)}"`;
+    const tag = style.type === 'linear' ? 'linearGradient' : 'radialGradient';
+    const def = `${tag} gradientUnits="userSpaceOnUse" gradientTransform="matrix(${transform})" ${attrs}>${stops}`;
+
+    let id = this._gradientIds.get(def);
+    if (!id) {
+      id = `g${this._gradientIds.size}`;
+      this._gradientIds.set(def, id);
+      this._defs.push(`<${tag} id="${id}" ${def.slice(tag.length + 1)}</${tag}>`);
+    }
+    return `url(#${id})`;
+  }
+
+  // Opacity, clip and drop-shadow attributes for the current state. The clip
+  // is in output coordinates, so elements with their own transform leave it
+  // out and are wrapped in a clipped <g> instead.
+  _effects(clip = true) {
+    let attrs = '';
+    if (this.globalAlpha < 1) attrs += ` opacity="${num(this.globalAlpha)}"`;
+    if (clip && this._clip) attrs += ` clip-path="url(#${this._clip})"`;
+
+    const hasShadow = this.shadowBlur > 0 || this.shadowOffsetX !== 0 || this.shadowOffsetY !== 0;
+    if (hasShadow && !/rgba\([^)]*,\s*0\s*\)|transparent/.test(this.shadowColor)) {
+      const def = `dx="${num(this.shadowOffsetX)}" dy="${num(this.shadowOffsetY)}" ` +
+        `stdDeviation="${num(this.shadowBlur / 2)}" flood-color="${escapeXml(this.shadowColor)}"`;
+
+      let id = this._filterIds.get(def);
+      if (!id) {
+        id = `f${this._filterIds.size}`;
+        this._filterIds.set(def, id);
+        this._defs.push(
+          `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow ${def}/></filter>`
+        );
+      }
+      attrs += ` filter="url(#${id})"`;
+    }
+    return attrs;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // OUTPUT
+  // ═══════════════════════════════════════════════════════════════════════
+
+  toString() {
+    const w = num(this.width);
+    const h = num(this.height);
+    const defs = this._defs.length > 0 ? `<defs>${this._defs.join('')}</defs>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">` +
+      `${defs}${this._elements.join('')}</svg>`;
+  }
+}
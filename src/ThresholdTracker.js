@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ZONE & THRESHOLD EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Turns a stream of values into crossing events:
+ *
+ *   gauge:zoneenter / gauge:zoneexit  { zone, index, value }
+ *   gauge:threshold                   { id, threshold, index, active, value }
+ *                                     (ring flash thresholds: { ring, ... })
+ *
+ * The first value after construction or reset() only records a baseline,
+ * so nothing fires for the state a gauge starts in.
+ */
+export default class ThresholdTracker {
+  /**
+   * @param {function(string, object)} dispatch  Event sink, e.g. Gauge._dispatch
+   */
+  constructor(dispatch) {
+    this._dispatch = dispatch;
+    this._ringActive = [];
+    this.reset();
+  }
+
+  // Forget recorded state; the next update() is a silent baseline again
+  reset() {
+    this._inZones = null;
+    this._active = null;
+    this._ringActive = [];
+  }
+
+  /**
+   * @param {number} value
+   * @param {object[]} zones       { start, end, hysteresis } ranges (inclusive)
+   * @param {object[]} thresholds  { id, above, below, hysteresis }
+   * @param {boolean} [wrap=false] Wrapping scale: a zone with end < start
+   *   runs across the seam
+   * @param {number} [hysteresis=0] Default for zones without their own
+   */
+  update(value, zones, thresholds, wrap = false, hysteresis = 0) {
+    if (!isFinite(value)) return;
+
+    const baseline = this._inZones === null;
+    const inZones = zones.map((zone, i) =>
+      isInZone(zone, value, wrap, !baseline && this._inZones[i], hysteresis));
+    const active = thresholds.map((threshold, i) =>
+      isActive(threshold, value, !baseline && this._active[i]));
+
+    if (!baseline) {
+      inZones.forEach((inside, index) => {
+        if (inside === this._inZones[index]) return;
+        this._dispatch(inside ? 'gauge:zoneenter' : 'gauge:zoneexit', { zone: zones[index], index, value });
+      });
+      active.forEach((on, index) => {
+        if (on === this._active[index]) return;
+        const threshold = thresholds[index];
+        this._dispatch('gauge:threshold', { id: threshold.id, threshold, index, active: on, value });
+      });
+    }
+
+    this._inZones = inZones;
+    this._active = active;
+  }
+
+  /**
+   * Track a ring's flash.above threshold.
+   * @param {number} index  Ring index
+   * @param {number} value
+   * @param {object} ring   Ring config
+   */
+  updateRing(index, value, ring) {
+    const flash = ring && ring.flash;
+    if (!flash || !isFinite(value)) return;
+
+    const threshold = { id: flash.id, above: flash.above, hysteresis: flash.hysteresis };
+    const was = this._ringActive[index];
+    const on = isActive(threshold, value, !!was);
+    this._ringActive[index] = on;
+
+    if (was !== undefined && on !== was) {
+      this._dispatch('gauge:threshold', { ring: index, id: flash.id, threshold: flash, active: on, value });
+    }
+  }
+}
+
+// Inside start..end; once inside, stays so until the value is `hysteresis`
+// beyond either edge
+function isInZone(zone, value, wrap, wasInside, hysteresis) {
+  const margin = wasInside ? (zone.hysteresis != null ? zone.hysteresis : hysteresis) : 0;
+  const start = zone.start - margin;
+  const end = zone.end + margin;
+  return wrap && zone.end < zone.start
+    ? value >= start || value <= end
+    : value >= start && value <= end;
+}
+
+// Active at or beyond `above`/`below`; once active, stays so until the value
+// is `hysteresis` back inside the line
+function isActive(threshold, value, wasActive) {
+  const margin = wasActive ? threshold.hysteresis || 0 : 0;
+  return (threshold.above != null && value >= threshold.above - margin) ||
+    (threshold.below != null && value <= threshold.below + margin);
+}
@@ -0,0 +1,131 @@
+import NeedlePhysics from './NeedlePhysics.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALUE ANIMATION — springs and tweens for ring and complication values
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t),
+  easeInOut: t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+};
+
+/**
+ * Resolve a ring/complication `animation` option:
+ *
+ *   undefined / false / 'immediate'   null: values jump
+ *   true / 'spring'                   spring with the gauge's stiffness/damping
+ *   { stiffness, damping }            spring
+ *   { duration, easing }              tween over `duration` ms; easing is
+ *                                     'linear' | 'easeIn' | 'easeOut' (default)
+ *                                     | 'easeInOut' | (t) => t
+ * @param {*} animation
+ * @param {object} config  Gauge config, for the default spring parameters
+ * @returns {object|null}
+ */
+export function animationSpec(animation, config) {
+  if (!animation || animation === 'immediate') return null;
+  if (typeof animation === 'object' && animation.duration != null) {
+    return { type: 'tween', duration: animation.duration, easing: animation.easing || 'easeOut' };
+  }
+  const spring = typeof animation === 'object' ? animation : {};
+  return {
+    type: 'spring',
+    stiffness: spring.stiffness || config.stiffness,
+    damping: spring.damping || config.damping,
+  };
+}
+
+/**
+ * Moves one displayed value toward its target. Springs run NeedlePhysics on
+ * the value as a fraction of its range (`span`), so the same stiffness and
+ * damping feel alike on a 0-1 fuel arc and a 0-8000 rpm ring. Non-numeric
+ * values (e.g. a gear letter) switch immediately.
+ */
+export default class ValueAnimator {
+  /**
+   * @param {object} spec   From animationSpec()
+   * @param {number} span   max - min of the value's range
+   * @param {*} value       Initial value
+   */
+  constructor(spec, span, value) {
+    this.spec = spec;
+    this.span = span;
+    this.value = value;
+    this.target = value;
+
+    this._scale = span || 1;
+    this._tween = null;
+    this._physics = null;
+    if (spec.type === 'spring') {
+      this._physics = new NeedlePhysics(spec);
+      if (isNumber(value)) this._physics.setTarget(value / this._scale, true);
+    }
+    this.reducedMotion = this._physics ? this._physics.reducedMotion : false;
+  }
+
+  get reducedMotion() {
+    return this._reducedMotion;
+  }
+
+  set reducedMotion(value) {
+    this._reducedMotion = value;
+    if (this._physics) this._physics.reducedMotion = value;
+  }
+
+  set(target, immediate = false) {
+    const from = this.value;
+    this.target = target;
+
+    if (immediate || !isNumber(target) || !isNumber(from)) {
+      this.value = target;
+      this._tween = null;
+      if (this._physics && isNumber(target)) this._physics.setTarget(target / this._scale, true);
+      return;
+    }
+
+    if (this._physics) {
+      this._physics.setTarget(target / this._scale);
+    } else {
+      this._tween = { from, start: null };
+    }
+  }
+
+  // Advance to `time` (ms) and return the value to display
+  update(time) {
+    if (this._physics && isNumber(this.target)) {
+      this.value = this._physics.update(time) * this._scale;
+      if (this._physics.isSettled()) this.value = this.target;
+    } else if (this._tween) {
+      const tween = this._tween;
+      if (tween.start === null) tween.start = time;
+      const { duration, easing } = this.spec;
+      const t = duration > 0 && !this._reducedMotion ? Math.min(1, (time - tween.start) / duration) : 1;
+      const ease = typeof easing === 'function' ? easing : EASINGS[easing] || EASINGS.easeOut;
+      this.value = tween.from + (this.target - tween.from) * ease(t);
+      if (t >= 1) {
+        this.value = this.target;
+        this._tween = null;
+      }
+    }
+    return this.value;
+  }
+
+  isSettled() {
+    return this.value === this.target;
+  }
+
+  // Restart spring timing on wake instead of integrating the gap
+  pause() {
+    if (this._physics) this._physics.lastTime = null;
+  }
+
+  destroy() {
+    if (this._physics) this._physics.destroy();
+  }
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
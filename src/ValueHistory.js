@@ -0,0 +1,78 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VALUE HISTORY — time-windowed ring buffer for sparklines
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Recent (time, value) samples, oldest first. The buffer holds `capacity`
+ * samples spread over `window` ms: a sample arriving sooner than
+ * window / capacity after the previous one replaces it, so a fast source
+ * cannot push the start of the window out of the buffer.
+ */
+export default class ValueHistory {
+  /**
+   * @param {number} [window=60000]  ms of history to keep
+   * @param {number} [capacity=240]  Maximum number of samples
+   */
+  constructor(window = 60000, capacity = 240) {
+    this.window = window;
+    this.capacity = Math.max(2, Math.floor(capacity));
+    this._times = new Float64Array(this.capacity);
+    this._values = new Float64Array(this.capacity);
+    this._start = 0;
+    this.length = 0;
+  }
+
+  push(time, value) {
+    if (!isFinite(value)) return;
+
+    if (this.length > 0 && time - this._time(this.length - 1) < this.window / this.capacity) {
+      this._values[this._index(this.length - 1)] = value;
+      return;
+    }
+
+    if (this.length === this.capacity) {
+      this._start = (this._start + 1) % this.capacity;
+      this.length--;
+    }
+    const i = this._index(this.length);
+    this._times[i] = time;
+    this._values[i] = value;
+    this.length++;
+  }
+
+  clear() {
+    this._start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Samples inside the window ending at `now`, as [time, value] pairs. The
+   * last sample before the window is kept so the line reaches its left edge.
+   * @param {number} now
+   * @returns {number[][]}
+   */
+  toArray(now) {
+    const since = now - this.window;
+    let first = 0;
+    while (first < this.length - 1 && this._time(first + 1) <= since) first++;
+
+    const samples = [];
+    for (let k = first; k < this.length; k++) {
+      samples.push([this._time(k), this._values[this._index(k)]]);
+    }
+    return samples;
+  }
+
+  // True while the chart still scrolls: the newest sample is inside the window
+  isMoving(now) {
+    return this.length > 0 && this._time(this.length - 1) > now - this.window;
+  }
+
+  _index(k) {
+    return (this._start + k) % this.capacity;
+  }
+
+  _time(k) {
+    return this._times[this._index(k)];
+  }
+}
@@ -0,0 +1,122 @@
+import { presets, defaults, mergeConfig } from './presets.js';
+import { createFormatter } from './format.js';
+import { createScale } from './scale.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIG RESOLUTION — shared by Gauge and the headless renderer
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge a preset name or config object over the defaults.
+ * @param {string|object} config  Preset name (e.g. 'speed') or config object,
+ *   optionally with a `preset` key (see expandPreset)
+ * @returns {object} Resolved config, normalised for rendering
+ */
+export function resolveConfig(config) {
+  return normalizeConfig({ ...defaults, ...expandPreset(config) });
+}
+
+/**
+ * The config a preset name stands for, or for `{ preset, ...overrides }` the
+ * overrides deep-merged over that preset. Other configs are returned as is.
+ * @param {string|object} config
+ * @returns {object}
+ */
+export function expandPreset(config = {}) {
+  const name = typeof config === 'string' ? config : config && config.preset;
+  if (name == null) return config || {};
+  if (!presets[name]) {
+    console.warn(`Gauge: unknown preset "${name}", using defaults`);
+  }
+  if (typeof config === 'string') return presets[name] || {};
+
+  const { preset, ...overrides } = config;
+  return mergeConfig(presets[name] || {}, overrides);
+}
+
+// Derive internal keys (prefixed with _) from their public forms, in place
+export function normalizeConfig(config) {
+  // Normalise digitalDisplay: accept boolean showDigitalValue or object form
+  if (config.digitalDisplay && typeof config.digitalDisplay === 'object') {
+    config._digitalDisplay = { show: true, ...config.digitalDisplay };
+  } else if (config.showDigitalValue) {
+    config._digitalDisplay = { show: true };
+  } else {
+    config._digitalDisplay = null;
+  }
+
+  // Formatters: tick numbers use `format`; the readout and ARIA text use
+  // digitalDisplay.format when set, falling back to `format`
+  const dd = config._digitalDisplay;
+  config._formatTick = createFormatter(config.format);
+  config._formatValue = dd && dd.format != null ? createFormatter(dd.format) : config._formatTick;
+
+  // Peak hold: `true` is shorthand for a max-hold needle
+  if (config.peakHold === true) {
+    config._peakHold = { max: true };
+  } else if (config.peakHold && typeof config.peakHold === 'object') {
+    config._peakHold = { max: true, ...config.peakHold };
+  } else {
+    config._peakHold = null;
+  }
+
+  config._zones = effectiveZones(config);
+
+  // Odometer: `showOdometer: true` is shorthand for the default drum
+  if (config.odometer && typeof config.odometer === 'object') {
+    config._odometer = { digits: 6, tenths: true, display: 'total', ...config.odometer };
+  } else if (config.odometer === true || config.showOdometer) {
+    config._odometer = { digits: 6, tenths: true, display: 'total' };
+  } else {
+    config._odometer = null;
+  }
+
+  // Clock hands: `true` is shorthand for local time with sweeping seconds
+  if (config.clock && typeof config.clock === 'object') {
+    config._clock = { seconds: 'sweep', ...config.clock };
+  } else {
+    config._clock = config.clock ? { seconds: 'sweep' } : null;
+  }
+
+  // Value ↔ sweep mapping for the dial and each ring (rings inherit `scale`)
+  config._scale = createScale(config.scale, config.min, config.max);
+  config._ringScales = (config.rings || []).map(ring => createScale(
+    ring.scale != null ? ring.scale : config.scale,
+    ring.min || 0,
+    ring.max != null ? ring.max : config.max
+  ));
+
+  return config;
+}
+
+// Zones as drawn and evaluated for zone events. Backward compat: without
+// `zones`, redlineStart or dangerStart implies one zone running to max,
+// drawn in the theme's zone color.
+export function effectiveZones(config) {
+  if (config.zones && config.zones.length > 0) return config.zones;
+
+  const start = config.redlineStart || config.dangerStart;
+  return start ? [{ start, end: config.max }] : [];
+}
+
+// Revolutions needle `index` makes over min..max (its `turns`, default 1).
+// Secondary needles with `turns` are hands that follow the main value.
+export function needleTurns(config, index) {
+  const needle = (config.needles || [])[index];
+  return needle && needle.turns > 0 ? needle.turns : 1;
+}
+
+// Lamp states by id, keeping the state of lamps that survive a config change
+export function resizeLampStates(states, lamps) {
+  const next = {};
+  for (const lamp of lamps || []) {
+    next[lamp.id] = states[lamp.id] || lamp.state || 'off';
+  }
+  return next;
+}
+
+// Initial values for rings/complications, keeping values at surviving indices
+export function resizeValues(values, items) {
+  return (items || []).map((item, i) =>
+    i < values.length ? values[i] : (item.value != null ? item.value : item.min || 0));
+}
@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// INPUT FILTERS — smoothing noisy values before they reach the physics
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Filter factories by type. Each returns a step function
+ * (value, time) => value, called once per sample with the sample time in ms.
+ * Time-based filters (lowpass with timeConstant, rate) only advance when a
+ * new sample arrives.
+ */
+const FILTERS = {
+  // Exponential low-pass: fixed `alpha` per sample (0-1, lower is smoother),
+  // or `timeConstant` (ms) for irregular sample rates
+  lowpass({ alpha = 0.3, timeConstant }) {
+    let output = null;
+    let lastTime = null;
+    return (value, time) => {
+      if (output === null) {
+        output = value;
+      } else {
+        const a = timeConstant > 0 ? 1 - Math.exp(-(time - lastTime) / timeConstant) : alpha;
+        output += a * (value - output);
+      }
+      lastTime = time;
+      return output;
+    };
+  },
+
+  // Median of the last `size` samples; removes single-sample spikes
+  median({ size = 5 }) {
+    const window = [];
+    return (value) => {
+      window.push(value);
+      if (window.length > size) window.shift();
+      return median(window);
+    };
+  },
+
+  // Ignore changes smaller than `width`
+  deadband({ width = 0 }) {
+    let output = null;
+    return (value) => {
+      if (output === null || Math.abs(value - output) > width) output = value;
+      return output;
+    };
+  },
+
+  // Limit the rate of change to `max` units per second
+  rate({ max = Infinity }) {
+    let output = null;
+    let lastTime = null;
+    return (value, time) => {
+      if (output === null) {
+        output = value;
+      } else {
+        const step = max * Math.max(0, time - lastTime) / 1000;
+        output += Math.max(-step, Math.min(step, value - output));
+      }
+      lastTime = time;
+      return output;
+    };
+  },
+
+  // Hold the previous output when a sample is more than `maxDeviation` from
+  // the median of the last `window` samples. Every sample enters the window,
+  // so a real step change is accepted once it persists.
+  outlier({ maxDeviation = Infinity, window: size = 5 }) {
+    const window = [];
+    let output = null;
+    return (value) => {
+      if (output === null || window.length < 3 || Math.abs(value - median(window)) <= maxDeviation) {
+        output = value;
+      }
+      window.push(value);
+      if (window.length > size) window.shift();
+      return output;
+    };
+  },
+};
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Build a chain from specs such as
+ *   [{ type: 'median', size: 5 }, { type: 'lowpass', alpha: 0.2 }]
+ * applied in order. Non-numeric and non-finite samples bypass the chain.
+ * @param {object[]} specs
+ * @returns {{ push: function(number, number): number }}
+ */
+export function createFilterChain(specs) {
+  const steps = [];
+  for (const spec of specs || []) {
+    const factory = FILTERS[spec && spec.type];
+    if (!factory) {
+      console.warn(`Gauge: unknown filter type "${spec && spec.type}", ignoring`);
+      continue;
+    }
+    steps.push(factory(spec));
+  }
+
+  return {
+    push(value, time) {
+      if (typeof value !== 'number' || !isFinite(value)) return value;
+      return steps.reduce((v, step) => step(v, time), value);
+    },
+  };
+}
@@ -0,0 +1,80 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VALUE FORMATTING — tick numbers, digital readout, ARIA text
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build a `(value) => string` formatter from a format spec:
+ *
+ *   undefined / null   rounded integer (the default)
+ *   number             fixed number of decimals, e.g. 1 → "12.6"
+ *   function           custom (value) => string
+ *   object             { decimals, locale, options, prefix, suffix }
+ *                      `locale` / `options` go to Intl.NumberFormat (grouping,
+ *                      locale digits, units, ...). `decimals` fixes the
+ *                      fraction digits unless `options` sets them itself.
+ *                      An invalid locale falls back to the default one;
+ *                      options Intl rejects fall back to `decimals` alone
+ *                      (both with a warning).
+ *
+ * Non-numeric values (e.g. gear indicators) are passed through as strings.
+ * @param {number|function|object} [spec]
+ * @returns {function(*): string}
+ */
+export function createFormatter(spec) {
+  if (typeof spec === 'function') {
+    return (value) => typeof value === 'number' ? String(spec(value)) : String(value);
+  }
+  if (typeof spec === 'number') {
+    spec = { decimals: spec };
+  }
+
+  const { decimals, locale, options, prefix = '', suffix = '' } = spec || {};
+  let formatNumber;
+
+  const intl = locale != null || options != null
+    ? numberFormat(locale, { ...fractionDigits(decimals, options), ...options })
+    : null;
+
+  if (intl) {
+    formatNumber = (value) => intl.format(value);
+  } else if (decimals != null) {
+    formatNumber = (value) => value.toFixed(decimals);
+  } else {
+    formatNumber = (value) => Math.round(value).toString();
+  }
+
+  return (value) => {
+    if (typeof value !== 'number') return String(value);
+    return prefix + formatNumber(value) + suffix;
+  };
+}
+
+// Fraction digits for `decimals`. When `options` sets only one bound,
+// decimals fills in the other without crossing it (min > max is a RangeError).
+function fractionDigits(decimals, options) {
+  if (decimals == null) return {};
+  const { minimumFractionDigits: min, maximumFractionDigits: max } = options || {};
+  return {
+    minimumFractionDigits: max != null ? Math.min(decimals, max) : decimals,
+    maximumFractionDigits: min != null ? Math.max(decimals, min) : decimals,
+  };
+}
+
+// Intl.NumberFormat, with the default locale in place of an invalid one.
+// Returns null when the options themselves are rejected.
+function numberFormat(locale, options) {
+  if (locale != null) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch {
+      console.warn(`Gauge: invalid format locale ${JSON.stringify(locale)}, using the default locale`);
+      locale = undefined;
+    }
+  }
+  try {
+    return new Intl.NumberFormat(locale, options);
+  } catch (error) {
+    console.warn(`Gauge: invalid format options (${error.message}), ignoring them`);
+    return null;
+  }
+}
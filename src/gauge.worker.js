@@ -0,0 +1,66 @@
+import Gauge from './Gauge.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKER HOST — runs a Gauge against a transferred OffscreenCanvas
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Started by Gauge when `worker` is set in its config. Physics stepping and
+ * all drawing happen here; the main-thread Gauge forwards its public calls,
+ * resizes and visibility changes, and re-dispatches the events posted back.
+ */
+
+let gauge = null;
+let host = null;
+
+// Stand-in for the container element: events are posted to the main thread
+const target = new EventTarget();
+target.dispatchEvent = (event) => {
+  self.postMessage({ type: 'event', name: event.type, detail: event.detail });
+  return true;
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      host = {
+        canvas: data.canvas,
+        size: 0,
+        dpi: data.dpi,
+        reducedMotion: data.reducedMotion,
+        onAriaLabel: (label) => self.postMessage({ type: 'aria', label })
+      };
+      gauge = new Gauge(target, data.config, host);
+      break;
+
+    case 'call': {
+      if (!gauge) return;
+      const member = gauge[data.method];
+      if (typeof member === 'function') {
+        member.apply(gauge, data.args);
+      } else {
+        gauge[data.method] = data.args[0];  // setter, e.g. vibration
+      }
+      break;
+    }
+
+    case 'resize':
+      if (!gauge) return;
+      host.dpi = data.dpi;
+      gauge._handleResize({ width: data.width, height: data.height });
+      break;
+
+    case 'visible':
+      if (!gauge) return;
+      gauge._setVisible(data.visible);
+      if (data.visible) gauge._wake();
+      else gauge._pause();
+      break;
+
+    case 'reducedMotion':
+      if (!gauge) return;
+      for (const physics of gauge._allPhysics()) physics.reducedMotion = data.value;
+      for (const animator of gauge._animators()) animator.reducedMotion = data.value;
+      break;
+  }
+};
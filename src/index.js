@@ -1,4 +1,12 @@
 export { default as Gauge } from './Gauge.js';
-export { presets, defaults } from './presets.js';
+export { default as GaugeElement, defineGaugeElement } from './GaugeElement.js';
+export { default as renderGauge, renderGaugeSVG } from './renderGauge.js';
+export { default as SvgContext } from './SvgContext.js';
+export { presets, defaults, registerPreset, mergeConfig } from './presets.js';
+export { themes, registerTheme } from './themes.js';
+export { validateConfig } from './validate.js';
 export { default as NeedlePhysics } from './NeedlePhysics.js';
 export { default as GaugeRenderer } from './GaugeRenderer.js';
+export { default as LinearRenderer } from './LinearRenderer.js';
+export { default as Binding } from './Binding.js';
+export { lampIcons } from './lamps.js';
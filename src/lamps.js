@@ -0,0 +1,165 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// WARNING LAMP ICONS — procedural, no image assets
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Built-in lamp icons. Each `draw(ctx, s)` paints the icon centred on the
+ * origin, filling roughly [-s, s] in both axes with the current fillStyle
+ * and strokeStyle. `color` is the lit colour and `label` the ARIA name.
+ *
+ * Add entries to register custom icons:
+ *   lampIcons.seatbelt = { label: 'Seat belt', color: '#E02020', draw(ctx, s) { ... } };
+ */
+export const lampIcons = {
+  checkEngine: {
+    label: 'Check engine',
+    color: '#FFB000',
+    draw(ctx, s) {
+      polygon(ctx, s, [[-0.6, -0.3], [0.5, -0.3], [0.7, -0.05], [0.9, -0.05], [0.9, 0.35],
+        [0.7, 0.35], [0.5, 0.55], [-0.4, 0.55], [-0.6, 0.35]]);
+      ctx.stroke();
+      lines(ctx, s, [[-0.6, 0.1, -0.9, 0.1], [-0.9, -0.1, -0.9, 0.3],
+        [-0.15, -0.3, -0.15, -0.55], [-0.45, -0.55, 0.15, -0.55]]);
+    },
+  },
+
+  oil: {
+    label: 'Oil pressure',
+    color: '#E02020',
+    draw(ctx, s) {
+      polygon(ctx, s, [[-0.8, 0], [-0.3, 0], [-0.2, -0.15], [0.15, -0.15], [0.85, -0.35],
+        [0.3, 0.45], [-0.8, 0.45]]);
+      ctx.stroke();
+      lines(ctx, s, [[-0.05, -0.15, -0.05, -0.4], [-0.25, -0.4, 0.15, -0.4], [-0.8, 0.05, -0.95, -0.2]]);
+      dot(ctx, s, 0.85, 0.1, 0.1);
+    },
+  },
+
+  battery: {
+    label: 'Battery',
+    color: '#E02020',
+    draw(ctx, s) {
+      ctx.beginPath();
+      ctx.rect(-0.8 * s, -0.4 * s, 1.6 * s, s);
+      ctx.stroke();
+      ctx.fillRect(-0.6 * s, -0.58 * s, 0.3 * s, 0.18 * s);
+      ctx.fillRect(0.3 * s, -0.58 * s, 0.3 * s, 0.18 * s);
+      lines(ctx, s, [[-0.6, 0.1, -0.2, 0.1], [0.2, 0.1, 0.6, 0.1], [0.4, -0.1, 0.4, 0.3]]);
+    },
+  },
+
+  turnLeft: {
+    label: 'Left turn signal',
+    color: '#22CC44',
+    draw(ctx, s) {
+      polygon(ctx, s, [[-0.9, 0], [-0.2, -0.6], [-0.2, -0.25], [0.8, -0.25], [0.8, 0.25],
+        [-0.2, 0.25], [-0.2, 0.6]]);
+      ctx.fill();
+    },
+  },
+
+  turnRight: {
+    label: 'Right turn signal',
+    color: '#22CC44',
+    draw(ctx, s) {
+      polygon(ctx, s, [[0.9, 0], [0.2, -0.6], [0.2, -0.25], [-0.8, -0.25], [-0.8, 0.25],
+        [0.2, 0.25], [0.2, 0.6]]);
+      ctx.fill();
+    },
+  },
+
+  highBeam: {
+    label: 'High beam',
+    color: '#2A6BFF',
+    draw(ctx, s) {
+      ctx.beginPath();
+      ctx.moveTo(0.1 * s, -0.55 * s);
+      ctx.arc(0.1 * s, 0, 0.55 * s, -Math.PI / 2, Math.PI / 2);
+      ctx.closePath();
+      ctx.fill();
+      lines(ctx, s, [[-0.9, -0.45, -0.15, -0.45], [-0.9, -0.15, -0.15, -0.15],
+        [-0.9, 0.15, -0.15, 0.15], [-0.9, 0.45, -0.15, 0.45]]);
+    },
+  },
+
+  lowFuel: {
+    label: 'Low fuel',
+    color: '#FFB000',
+    draw(ctx, s) {
+      ctx.beginPath();
+      ctx.rect(-0.7 * s, -0.65 * s, 0.8 * s, 1.3 * s);
+      ctx.stroke();
+      ctx.fillRect(-0.55 * s, -0.5 * s, 0.5 * s, 0.35 * s);
+      ctx.beginPath();
+      ctx.moveTo(0.1 * s, -0.2 * s);
+      ctx.lineTo(0.45 * s, -0.2 * s);
+      ctx.lineTo(0.45 * s, 0.4 * s);
+      ctx.lineTo(0.75 * s, 0.4 * s);
+      ctx.lineTo(0.75 * s, -0.35 * s);
+      ctx.lineTo(0.5 * s, -0.6 * s);
+      ctx.stroke();
+      lines(ctx, s, [[-0.85, 0.75, 0.25, 0.75]]);
+    },
+  },
+
+  coolant: {
+    label: 'Coolant temperature',
+    color: '#E02020',
+    draw(ctx, s) {
+      lines(ctx, s, [[0, -0.75, 0, 0.2], [0, -0.55, 0.35, -0.55], [0, -0.3, 0.35, -0.3],
+        [0, -0.05, 0.35, -0.05]]);
+      dot(ctx, s, 0, 0.3, 0.2);
+      ctx.beginPath();
+      ctx.moveTo(-0.9 * s, 0.75 * s);
+      for (let i = 1; i <= 6; i++) {
+        ctx.lineTo((-0.9 + i * 0.3) * s, (i % 2 ? 0.62 : 0.75) * s);
+      }
+      ctx.stroke();
+    },
+  },
+
+  brake: {
+    label: 'Brake',
+    color: '#E02020',
+    draw(ctx, s) {
+      ctx.beginPath();
+      ctx.arc(0, 0, 0.5 * s, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(0, 0, 0.8 * s, Math.PI * 0.75, Math.PI * 1.25);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(0, 0, 0.8 * s, -Math.PI * 0.25, Math.PI * 0.25);
+      ctx.stroke();
+      lines(ctx, s, [[0, -0.28, 0, 0.08]]);
+      dot(ctx, s, 0, 0.24, 0.07);
+    },
+  },
+};
+
+export const LAMP_STATES = ['off', 'on', 'blink'];
+
+function polygon(ctx, s, points) {
+  ctx.beginPath();
+  ctx.moveTo(points[0][0] * s, points[0][1] * s);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i][0] * s, points[i][1] * s);
+  }
+  ctx.closePath();
+}
+
+// Stroke separate segments given as [x1, y1, x2, y2]
+function lines(ctx, s, segments) {
+  ctx.beginPath();
+  for (const [x1, y1, x2, y2] of segments) {
+    ctx.moveTo(x1 * s, y1 * s);
+    ctx.lineTo(x2 * s, y2 * s);
+  }
+  ctx.stroke();
+}
+
+function dot(ctx, s, x, y, r) {
+  ctx.beginPath();
+  ctx.arc(x * s, y * s, r * s, 0, Math.PI * 2);
+  ctx.fill();
+}
@@ -14,6 +14,10 @@ export const defaults = {
   minorTicks: 4,
   startAngle: -225,
   endAngle: 45,
+  wrap: false,
+  geometry: 'circular',
+  orientation: null,
+  indicator: 'fill',
   stiffness: 120,
   damping: 18,
   faceStyle: 'light',
@@ -26,11 +30,18 @@ export const defaults = {
   activeTicks: null,
   needleGlow: false,
   progressArc: null,
+  peakHold: null,
+  thresholds: [],
+  zoneHysteresis: 0,
+  filters: [],
+  eventSource: 'target',
   innerRing: null,
   microTicks: null,
   rings: [],
   complications: [],
+  lamps: [],
   onDraw: null,
+  validate: 'warn',
 };
 
 export const presets = {
@@ -110,6 +121,87 @@ export const presets = {
     stiffness: 60,
     damping: 25
   },
+  compass: {
+    min: 0,
+    max: 360,
+    units: '\u00b0',
+    label: 'HDG',
+    customLabels: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'],
+    majorTicks: 9,       // every 45°; 360 shares the tick at N
+    minorTicks: 9,       // every 5°
+    startAngle: 0,
+    endAngle: 360,
+    wrap: true,          // 359° → 1° goes the short way
+    stiffness: 40,
+    damping: 10
+  },
+  altimeter: {
+    min: 0,
+    max: 100000,
+    units: 'FT',
+    label: 'ALT',
+    customLabels: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+    majorTicks: 11,      // 0-9 hundred feet on the long hand
+    minorTicks: 5,
+    startAngle: 0,
+    endAngle: 360,
+    stiffness: 60,
+    damping: 14,
+    // 100 ft, 1000 ft and 10000 ft hands from one value
+    needles: [
+      { turns: 100, shape: 'slim', length: 0.72, maxVelocity: 60 },
+      { turns: 10, length: 0.5, width: 0.06 },
+      { turns: 1, shape: 'line', length: 0.8, width: 0.02 }
+    ]
+  },
+  clock: {
+    min: 0,
+    max: 12,
+    units: '',
+    label: '',
+    customLabels: ['12', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'],
+    majorTicks: 13,      // hours; 12 shares the tick at 0
+    minorTicks: 5,       // minutes
+    startAngle: 0,
+    endAngle: 360,
+    wrap: true,
+    clock: true,         // { timeSource, timezone, seconds: 'sweep' | 'tick' }
+    needles: [
+      { hand: 'hour', color: '#1A1A1A', length: 0.45, width: 0.06 },
+      { hand: 'minute', color: '#1A1A1A', length: 0.68, width: 0.045 },
+      { hand: 'second', shape: 'line', length: 0.78, width: 0.02, stiffness: 400, damping: 16 }
+    ]
+  },
+  chronograph: {
+    min: 0,
+    max: 12,
+    units: '',
+    label: '',
+    customLabels: ['12', '1', '2', '', '4', '5', '6', '7', '8', '', '10', '11'],
+    majorTicks: 13,
+    minorTicks: 5,
+    startAngle: 0,
+    endAngle: 360,
+    wrap: true,
+    clock: true,
+    // Central hand: chronograph seconds; sub-dials: running seconds at 9,
+    // elapsed minutes at 3
+    needles: [
+      { hand: 'hour', color: '#1A1A1A', length: 0.45, width: 0.06 },
+      { hand: 'minute', color: '#1A1A1A', length: 0.68, width: 0.045 },
+      { hand: 'elapsedSeconds', shape: 'line', length: 0.78, width: 0.02, stiffness: 400, damping: 16 }
+    ],
+    complications: [
+      {
+        type: 'dial', hand: 'second', x: -0.38, y: 0, radius: 0.24,
+        min: 0, max: 60, startAngle: 0, endAngle: 360, majorTicks: 5, minorTicks: 2
+      },
+      {
+        type: 'dial', hand: 'elapsedMinutes', x: 0.38, y: 0, radius: 0.24,
+        min: 0, max: 30, startAngle: 0, endAngle: 360, majorTicks: 4, minorTicks: 4
+      }
+    ]
+  },
   modern: {
     min: 0,
     max: 320,
@@ -157,7 +249,8 @@ export const presets = {
         { at: 1, color: '#FF2200' }
       ],
       background: 'rgba(255,255,255,0.04)',
-      flash: { above: 7000, color: 'rgba(255, 0, 0, 0.5)', rate: 4 }
+      flash: { above: 7000, color: 'rgba(255, 0, 0, 0.5)', rate: 4 },
+      animation: { stiffness: 200, damping: 26 }
     }],
     digitalDisplay: {
       show: true,
@@ -198,7 +291,71 @@ export const presets = {
         { text: 'F', position: 1 }
       ],
       marker: true,
-      markerColor: '#FFFFFF'
+      markerColor: '#FFFFFF',
+      animation: { duration: 800, easing: 'easeInOut' }
     }]
   }
 };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRESET REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Add a named preset, usable wherever the built-in names are. With
+ * `options.extends` the config is deep-merged over that preset (see
+ * mergeConfig); the result is fixed at registration, so later changes to
+ * the parent don't reach it.
+ * @param {string} name
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.extends]  Preset to inherit from
+ */
+export function registerPreset(name, config, options = {}) {
+  const base = options.extends;
+  if (base && !presets[base]) {
+    console.warn(`Gauge: preset "${name}" extends unknown preset "${base}"`);
+  }
+  presets[name] = mergeConfig(base ? presets[base] || {} : {}, config);
+}
+
+/**
+ * Deep-merge config objects left to right. Plain objects merge key by key
+ * and arrays merge by index, so `{ rings: [{ max: 200 }] }` changes only the
+ * first ring's max. An empty array clears the inherited list, undefined
+ * keeps it, and anything else (numbers, strings, functions, null) replaces.
+ * Returns a new object; the inputs are not modified.
+ * @param {object} base
+ * @param {...object} overrides
+ * @returns {object}
+ */
+export function mergeConfig(base, ...overrides) {
+  return overrides.reduce(mergeValue, clone(base));
+}
+
+function mergeValue(base, value) {
+  if (value === undefined) return clone(base);
+  if (Array.isArray(value)) {
+    if (!Array.isArray(base) || value.length === 0) return clone(value);
+    const length = Math.max(base.length, value.length);
+    return Array.from({ length }, (_, i) => mergeValue(base[i], value[i]));
+  }
+  if (isPlainObject(value)) {
+    const merged = isPlainObject(base) ? clone(base) : {};
+    for (const [key, item] of Object.entries(value)) merged[key] = mergeValue(merged[key], item);
+    return merged;
+  }
+  return value;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -0,0 +1,139 @@
+import { resolveConfig, resizeValues, resizeLampStates, needleTurns } from './config.js';
+import { wrapValue } from './scale.js';
+import { createRenderer } from './renderers.js';
+import SvgContext from './SvgContext.js';
+import Clock, { HAND_PERIODS } from './Clock.js';
+import { validateConfig } from './validate.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HEADLESS RENDERING — one static frame, no DOM, physics or animation loop
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Draw a complete gauge into any 2D context (browser canvas, OffscreenCanvas,
+ * node-canvas). The needle is drawn at rest on `value`.
+ *
+ * The target context should be `size * dpi` pixels square (`width` × `height`
+ * for linear gauges); drawing starts at its current transform's origin.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string|object} config  Preset name or config object
+ * @param {object} [options]
+ * @param {number} [options.value]               Needle value (default: config.min)
+ * @param {number[]} [options.ringValues]         Ring values (default: config)
+ * @param {number[]} [options.complicationValues] Complication values (default: config)
+ * @param {number[]} [options.needleValues]       Values for config.needles[1..]
+ *   (index 0 is `value`; default: each needle's config value)
+ * @param {object} [options.peak]                Held { max, min } for config.peakHold
+ * @param {object} [options.lampStates]          { [lamp id]: 'off' | 'on' | 'blink' }
+ *   (default: each lamp's config state)
+ * @param {number} [options.odometer]            Odometer reading (default: odometer.value)
+ * @param {Date|number} [options.time]           Time shown by clock hands (default: now)
+ * @param {number} [options.elapsed=0]            Chronograph reading for `elapsed*` hands (ms)
+ * @param {Array} [options.histories]             Sparkline data by complication index:
+ *   [time, value] samples, oldest first, on the same clock as `timestamp`
+ * @param {number} [options.size=200]             Gauge size in CSS pixels
+ * @param {number} [options.width=size]           Width for linear gauges
+ * @param {number} [options.height=size]          Height for linear gauges
+ * @param {number} [options.dpi=1]                Pixel ratio
+ * @param {number} [options.timestamp=0]          Frame time for time-based effects (ms);
+ *   with `histories`, defaults to the newest sample's time
+ * @param {function} [options.canvasFactory]      (width, height) => canvas, for the
+ *   static layer cache where OffscreenCanvas and document are unavailable
+ * @returns {GaugeRenderer} The renderer, reusable for further frames
+ * @throws {TypeError} For an invalid config with `validate: 'strict'`
+ */
+export default function renderGauge(ctx, config, options = {}) {
+  const { size = 200, width = size, height = size, dpi = 1, canvasFactory } = options;
+  const resolved = resolveChecked(config);
+  const renderer = createRenderer(width, height, dpi, resolved, { canvasFactory });
+
+  ctx.save();
+  ctx.scale(dpi, dpi);
+  drawFrame(ctx, renderer, resolved, options);
+  ctx.restore();
+
+  return renderer;
+}
+
+/**
+ * Render a gauge as a standalone SVG document string. Every layer is emitted
+ * as vector paths, gradients and text, so the result scales without blurring.
+ *
+ * @param {string|object} config  Preset name or config object
+ * @param {object} [options]      Same as renderGauge: value, ringValues,
+ *   complicationValues, size (sets the SVG's width/height; width and height
+ *   for linear gauges), timestamp
+ * @returns {string} SVG markup
+ * @throws {TypeError} For an invalid config with `validate: 'strict'`
+ */
+export function renderGaugeSVG(config, options = {}) {
+  const { size = 200, width = size, height = size } = options;
+  const resolved = resolveChecked(config);
+  const renderer = createRenderer(width, height, 1, resolved, { cacheStatic: false });
+  const ctx = new SvgContext(renderer.width, renderer.height);
+
+  drawFrame(ctx, renderer, resolved, options);
+  return ctx.toString();
+}
+
+// Resolve a config and check it per its `validate` mode, as a Gauge does
+function resolveChecked(config) {
+  const resolved = resolveConfig(config);
+  if (resolved.validate) validateConfig(resolved, { mode: resolved.validate });
+  return resolved;
+}
+
+function drawFrame(ctx, renderer, resolved, options) {
+  const histories = options.histories || [];
+  const latest = Math.max(0, ...histories.map(samples =>
+    samples && samples.length ? samples[samples.length - 1][0] : 0));
+  const { timestamp = latest } = options;
+  const needles = resolved.needles || [];
+  const needleValue = (i) => needles[i] && needles[i].value != null ? needles[i].value : resolved.min;
+  const input = options.value != null ? options.value : needleValue(0);
+  const value = resolved.wrap ? wrapValue(input, resolved.min, resolved.max) : input;
+  const ringValues = options.ringValues || resizeValues([], resolved.rings);
+  const complicationValues = (options.complicationValues || resizeValues([], resolved.complications)).slice();
+  const needleValues = options.needleValues || [];
+
+  // Hands with `turns` follow the main value
+  const needleAngles = needles.map((needle, i) => renderer.valueToAngle(
+    i === 0 || needle.turns ? value : needleValues[i] != null ? needleValues[i] : needleValue(i),
+    needleTurns(resolved, i)));
+  if (resolved._clock) {
+    placeClockHands(resolved, options, needleAngles, complicationValues);
+  }
+
+  renderer.renderFrame(ctx, {
+    angle: needleAngles.length ? needleAngles[0] : renderer.valueToAngle(value, needleTurns(resolved, 0)),
+    value,
+    peak: options.peak || null,
+    lampStates: options.lampStates || resizeLampStates({}, resolved.lamps),
+    odometer: options.odometer != null ? options.odometer : (resolved._odometer || {}).value || 0,
+    needleAngles,
+    ringValues,
+    complicationValues,
+    histories,
+    timestamp
+  });
+}
+
+// Point needles and complications with a `hand` at options.time, with the
+// chronograph showing options.elapsed
+function placeClockHands(resolved, options, needleAngles, complicationValues) {
+  const clock = new Clock(resolved._clock);
+  const time = options.time != null ? new Date(options.time).getTime() : clock.now();
+  clock.start(time - (options.elapsed || 0));
+  clock.stop(time);
+
+  const startAngle = (resolved.startAngle - 90) * Math.PI / 180;
+  const totalAngle = (resolved.endAngle - resolved.startAngle) * Math.PI / 180;
+  (resolved.needles || []).forEach((needle, i) => {
+    if (HAND_PERIODS[needle.hand]) needleAngles[i] = startAngle + clock.fraction(needle.hand, time) * totalAngle;
+  });
+  (resolved.complications || []).forEach((comp, i) => {
+    const period = HAND_PERIODS[comp.hand];
+    if (period) complicationValues[i] = clock.read(comp.hand, time) % (comp.max || period);
+  });
+}
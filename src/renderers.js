@@ -0,0 +1,36 @@
+import GaugeRenderer from './GaugeRenderer.js';
+import LinearRenderer from './LinearRenderer.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RENDERER SELECTION — dial or linear geometry
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Canvas size for a container: dials stay square at the shorter side,
+ * linear gauges fill the whole rectangle.
+ * @param {object} config  Resolved gauge config
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number }}
+ */
+export function canvasSize(config, width, height) {
+  if (config.geometry === 'linear') return { width, height };
+  const size = Math.min(width, height);
+  return { width: size, height: size };
+}
+
+/**
+ * Create the renderer for config.geometry, sized by canvasSize().
+ * @param {number} width
+ * @param {number} height
+ * @param {number} dpi
+ * @param {object} config  Resolved gauge config
+ * @param {object} [options]  As for GaugeRenderer
+ * @returns {GaugeRenderer}
+ */
+export function createRenderer(width, height, dpi, config, options) {
+  const size = canvasSize(config, width, height);
+  return config.geometry === 'linear'
+    ? new LinearRenderer(size.width, size.height, dpi, config, options)
+    : new GaugeRenderer(size.width, dpi, config, options);
+}
@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SCALES — value ↔ sweep-fraction mapping
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build a scale mapping values in [min, max] to a fraction of the sweep:
+ *
+ *   'linear'                        even spacing (the default)
+ *   'log'                           logarithmic; needs 0 < min < max
+ *   { breakpoints: [[v, f], ...] }  piecewise-linear: value v sits at sweep
+ *                                   fraction f. [min, 0] and [max, 1] are
+ *                                   implied when not given.
+ *
+ * Fractions are not clamped; callers clamp where the needle must stay on
+ * the dial.
+ *
+ * @param {string|object} [spec='linear']
+ * @param {number} min
+ * @param {number} max
+ * @returns {{ type: string, toFraction: function(number): number,
+ *   fromFraction: function(number): number, majorValues: function(number): number[] }}
+ */
+export function createScale(spec, min, max) {
+  const range = max - min;
+
+  if (spec === 'log') {
+    if (min > 0 && max > min) return logScale(min, max);
+    console.warn('Gauge: log scale needs 0 < min < max, using linear');
+  } else if (spec && typeof spec === 'object' && Array.isArray(spec.breakpoints)) {
+    return piecewiseScale(spec.breakpoints, min, max);
+  }
+
+  return {
+    type: 'linear',
+    toFraction: (value) => range !== 0 ? (value - min) / range : 0,
+    fromFraction: (fraction) => min + fraction * range,
+    majorValues: (count) => evenValues(min, max, count),
+  };
+}
+
+function logScale(min, max) {
+  const logMin = Math.log(min);
+  const logRange = Math.log(max) - logMin;
+
+  return {
+    type: 'log',
+    toFraction: (value) => value > 0 ? (Math.log(value) - logMin) / logRange : 0,
+    fromFraction: (fraction) => Math.exp(logMin + fraction * logRange),
+    // Geometric spacing, so majors land on decades when the range allows
+    majorValues: (count) => {
+      if (count < 2) return [min];
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        values.push(Math.exp(logMin + (i / (count - 1)) * logRange));
+      }
+      return values;
+    },
+  };
+}
+
+function piecewiseScale(breakpoints, min, max) {
+  const points = breakpoints
+    .filter(p => Array.isArray(p) && isFinite(p[0]) && isFinite(p[1]))
+    .map(([value, fraction]) => [value, fraction])
+    .sort((a, b) => a[0] - b[0]);
+
+  if (points.length === 0 || points[0][0] > min) points.unshift([min, 0]);
+  if (points[points.length - 1][0] < max || points.length < 2) points.push([max, 1]);
+
+  // Interpolate along `points`, reading column `from` and returning column `to`
+  const interpolate = (x, from, to) => {
+    let i = 0;
+    while (i < points.length - 2 && x > points[i + 1][from]) i++;
+    const [a, b] = [points[i], points[i + 1]];
+    const span = b[from] - a[from];
+    const t = span !== 0 ? (x - a[from]) / span : 0;
+    return a[to] + t * (b[to] - a[to]);
+  };
+
+  return {
+    type: 'piecewise',
+    toFraction: (value) => interpolate(value, 0, 1),
+    fromFraction: (fraction) => interpolate(fraction, 1, 0),
+    majorValues: (count) => evenValues(min, max, count),
+  };
+}
+
+function evenValues(min, max, count) {
+  if (count < 2) return [min];
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(min + (i / (count - 1)) * (max - min));
+  }
+  return values;
+}
+
+/**
+ * Value folded into [min, max) for wrapping scales (`wrap: true`), where max
+ * and min are the same point on the dial, e.g. 370 → 10 on a 0-360 heading.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function wrapValue(value, min, max) {
+  const range = max - min;
+  if (!(range > 0) || !isFinite(value)) return value;
+  return min + (((value - min) % range) + range) % range;
+}
+
+/**
+ * Needle angle in radians (0 at 3 o'clock) for a value. The sweep fraction
+ * is clamped to the dial, except that
+ *   - with config.wrap it is taken modulo one sweep, and
+ *   - a hand with `turns` goes round the sweep that many times over
+ *     min..max; its angle keeps growing past one sweep.
+ * @param {object} config  Resolved config
+ * @param {object} scale   From createScale()
+ * @param {number} value
+ * @param {number} [turns=1]
+ * @returns {number}
+ */
+export function valueToAngle(config, scale, value, turns = 1) {
+  if (config.max - config.min === 0) return 0;
+  if (!isFinite(value)) value = config.min;
+
+  let fraction = scale.toFraction(value) * turns;
+  fraction = config.wrap
+    ? ((fraction % 1) + 1) % 1
+    : Math.max(0, Math.min(turns, fraction));
+
+  const startAngle = (config.startAngle - 90) * Math.PI / 180;
+  const endAngle = (config.endAngle - 90) * Math.PI / 180;
+  return startAngle + fraction * (endAngle - startAngle);
+}
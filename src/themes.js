@@ -0,0 +1,248 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// THEMES — named color sets, CSS custom properties, light/dark scheme
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every color the renderers use, by theme. `config.colors` overrides any key
+ * per gauge. Arrays are gradient stops (highlight or start first), spread
+ * evenly unless given as { at, color }. `glass` is the opacity of the glass
+ * highlight. `dark` marks themes drawn with the dark face treatment (radial
+ * face gradient, deeper linear track).
+ */
+const light = {
+  dark: false,
+  face: '#FEFEFE',
+  needle: '#CC1010',
+  ticks: '#1A1A1A',
+  minorTicks: '#404040',
+  numbers: '#1A1A1A',
+  label: '#2A2A2A',
+  units: '#555555',
+  redline: '#CC2020',
+  bezel: ['#E8E8E8', '#C8C8C8', '#A0A0A0', '#787878', '#585858', '#404040'],
+  cap: ['#606060', '#404040', '#2A2A2A', '#1A1A1A'],
+  glass: 0.35,
+  faceStroke: 'rgba(255, 255, 255, 0.3)',
+  bezelStroke: 'rgba(0, 0, 0, 0.3)',
+  shadow: 'rgba(0, 0, 0, 0.6)',
+  innerShadow: [
+    { at: 0, color: 'rgba(0, 0, 0, 0)' },
+    { at: 0.7, color: 'rgba(0, 0, 0, 0.15)' },
+    { at: 1, color: 'rgba(0, 0, 0, 0.4)' },
+  ],
+  vignette: [
+    { at: 0.8, color: 'rgba(0, 0, 0, 0)' },
+    { at: 1, color: 'rgba(0, 0, 0, 0.08)' },
+  ],
+  needleShadow: 'rgba(0, 0, 0, 0.4)',
+  needleOutline: 'rgba(0, 0, 0, 0.3)',
+  capShadow: 'rgba(0, 0, 0, 0.5)',
+  capHighlight: 'rgba(255, 255, 255, 0.15)',
+  zone: 'rgba(204, 32, 32, 0.15)',
+  microTicks: '#444444',
+  activeTicks: '#FF8800',
+  progressArc: ['#0066FF', '#FF2200'],
+  ringGradient: ['#00CC44', '#FF2200'],
+  ringFlash: 'rgba(255, 0, 0, 0.6)',
+  innerRing: '#333333',
+  peak: '#FF8800',
+  minPeak: '#3399FF',
+  track: 'rgba(0, 0, 0, 0.12)',
+  trackBorder: 'rgba(0, 0, 0, 0.25)',
+  digital: '#00FF88',
+  digitalBackground: 'rgba(0, 0, 0, 0.75)',
+  digitalBorder: 'rgba(255, 255, 255, 0.15)',
+  odometer: '#E0E0E0',
+  odometerBackground: '#1A1A1A',
+  odometerBevel: 'rgba(255, 255, 255, 0.1)',
+  complicationTicks: 'rgba(255, 255, 255, 0.4)',
+  complicationLabel: 'rgba(255, 255, 255, 0.8)',
+  complicationPointer: '#FFFFFF',
+  complicationHub: '#333333',
+  complicationFill: '#00CCAA',
+  complicationBackground: 'rgba(128, 128, 128, 0.25)',
+  lampOff: 'rgba(128, 128, 128, 0.25)',
+};
+
+const dark = {
+  ...light,
+  dark: true,
+  face: '#1A1A1A',
+  ticks: '#E0E0E0',
+  minorTicks: '#888888',
+  numbers: '#D0D0D0',
+  label: '#E0E0E0',
+  units: '#AAAAAA',
+  redline: '#FF4040',
+  glass: 0.15,
+  track: 'rgba(0, 0, 0, 0.5)',
+  trackBorder: 'rgba(255, 255, 255, 0.12)',
+};
+
+export const themes = { light, dark };
+
+// Keys the renderers lighten, darken or blend, so they must resolve to a
+// color toHex() understands
+const SHADED = ['face', 'needle', 'complicationHub', 'progressArc', 'ringGradient'];
+
+// Unknown theme names already reported, so rebuilds don't repeat the warning
+const warned = new Set();
+
+const VAR_PATTERN = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g;
+
+/**
+ * Register a named theme for `config.theme`. Keys left out come from the
+ * theme named by `extends` (default: 'dark' when `dark` is set, else
+ * 'light'). Values may use var(--name, fallback) to read CSS custom
+ * properties from the gauge's container.
+ * @param {string} name
+ * @param {object} theme
+ */
+export function registerTheme(name, theme) {
+  const { extends: base = theme.dark ? 'dark' : 'light', ...colors } = theme;
+  if (!themes[base]) {
+    console.warn(`Gauge: theme "${name}" extends unknown theme "${base}", using light`);
+  }
+  themes[name] = { ...(themes[base] || light), ...colors };
+}
+
+// 'light' | 'dark' for a faceStyle; 'auto' follows prefers-color-scheme
+export function colorScheme(faceStyle) {
+  if (faceStyle === 'auto') {
+    return typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches
+      ? 'dark'
+      : 'light';
+  }
+  return faceStyle === 'dark' ? 'dark' : 'light';
+}
+
+// The theme a config draws with: config.theme (a name, or { light, dark }
+// names picked by scheme), else the built-in theme for the scheme
+function activeTheme(config) {
+  const scheme = config._scheme || colorScheme(config.faceStyle);
+  const theme = config.theme;
+  const name = theme && typeof theme === 'object' ? theme[scheme] : theme || scheme;
+  if (themes[name]) return themes[name];
+
+  if (!warned.has(name)) {
+    warned.add(name);
+    console.warn(`Gauge: unknown theme "${name}", using ${scheme}`);
+  }
+  return themes[scheme];
+}
+
+// Custom property that overrides a theme key: digitalBackground → --gauge-digital-background
+function cssVarName(key) {
+  return '--gauge-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+/**
+ * The --gauge-* custom properties a config can use, read from `element`'s
+ * computed style: one per theme key, plus any var() in the active theme or
+ * config.colors.
+ * @param {Element} element
+ * @param {object} config
+ * @returns {object}  { [property]: value } for the properties that are set
+ */
+export function readThemeVars(element, config) {
+  if (typeof getComputedStyle !== 'function' || !element) return {};
+
+  const names = new Set(Object.keys(light).map(cssVarName));
+  const values = [...Object.values(activeTheme(config)), ...Object.values(config.colors || {})];
+  for (const value of values.flat()) {
+    if (typeof value !== 'string') continue;
+    for (const [, name] of value.matchAll(VAR_PATTERN)) names.add(name);
+  }
+
+  const style = getComputedStyle(element);
+  const vars = {};
+  for (const name of names) {
+    const value = style.getPropertyValue(name).trim();
+    if (value) vars[name] = value;
+  }
+  return vars;
+}
+
+/**
+ * Resolve every theme key for a config: config.colors over --gauge-*
+ * custom properties (config._themeVars) over the active theme.
+ * @param {object} config  Resolved gauge config
+ * @returns {object}
+ */
+export function resolveTheme(config) {
+  const theme = activeTheme(config);
+  const vars = config._themeVars || {};
+  const user = config.colors || {};
+
+  const colors = {};
+  for (const key of Object.keys(theme)) {
+    const value = user[key] != null ? user[key] : vars[cssVarName(key)] || theme[key];
+    colors[key] = coerce(substitute(value, vars), light[key]);
+  }
+  for (const key of SHADED) colors[key] = shadable(key, colors[key], theme[key]);
+  return colors;
+}
+
+/**
+ * #RRGGBB for a #RGB, #RRGGBB, rgb() or rgba() color (alpha is dropped),
+ * or null for anything else, such as named colors.
+ * @param {*} color
+ * @returns {string|null}
+ */
+export function toHex(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim();
+  if (/^#[0-9a-f]{6}$/i.test(value)) return value;
+  if (/^#[0-9a-f]{3}$/i.test(value)) return value.replace(/[0-9a-f]/gi, c => c + c);
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/i);
+  if (!rgb) return null;
+  return '#' + rgb.slice(1).map(c => Math.round(Math.min(255, c)).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// A shaded key's value as hex (stop by stop for gradients). Values that
+// can't be converted are reported once and replaced by the theme's own,
+// or the built-in light one.
+function shadable(key, value, fallback) {
+  const converted = hexOf(value);
+  if (converted) return converted;
+
+  const message = `Gauge: colors.${key} must be a hex or rgb() color, got ${JSON.stringify(value)}`;
+  if (!warned.has(message)) {
+    warned.add(message);
+    console.warn(message);
+  }
+  return hexOf(fallback) || light[key];
+}
+
+function hexOf(value) {
+  const stops = [].concat(value).map(stop => stop && typeof stop === 'object'
+    ? toHex(stop.color) && { ...stop, color: toHex(stop.color) }
+    : toHex(stop));
+  if (stops.length === 0 || !stops.every(Boolean)) return null;
+  return Array.isArray(value) ? stops : stops[0];
+}
+
+// Replace var(--name, fallback) with the property's value or the fallback
+function substitute(value, vars) {
+  if (Array.isArray(value)) return value.map(item => substitute(item, vars));
+  if (value && typeof value === 'object') return { ...value, color: substitute(value.color, vars) };
+  if (typeof value !== 'string') return value;
+  return value.replace(VAR_PATTERN, (match, name, fallback = '') => vars[name] || fallback.trim());
+}
+
+// Bring a string value (from CSS, or a theme using var()) to the type of the
+// built-in default: gradient stops from a comma-separated list, opacities
+// from a number
+function coerce(value, fallback) {
+  if (Array.isArray(fallback) && typeof value === 'string') {
+    const stops = value.split(/,(?![^(]*\))/).map(stop => stop.trim()).filter(Boolean);
+    return stops.length ? stops : fallback;
+  }
+  if (typeof fallback === 'number' && typeof value === 'string') {
+    const number = parseFloat(value);
+    return isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === 'boolean') return typeof value === 'string' ? value === 'true' : !!value;
+  return value;
+}
@@ -0,0 +1,286 @@
+import { expandPreset } from './config.js';
+import { defaults } from './presets.js';
+import { themes } from './themes.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIG VALIDATION — schema checks with path/expected/got messages
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Value specs: a type name, or { type, values, min, max, integer, keys, open,
+// items, required, check }. `type` may be an array of alternatives; null and
+// undefined are accepted unless `required` is set. `values` limits strings
+// and booleans to a list. `keys` checks an object's properties and flags
+// unknown ones unless `open`. `check(object)` returns [key, expected] for a
+// problem between properties that the schema can't express.
+const TYPES = {
+  number: { test: v => typeof v === 'number' && isFinite(v), name: 'a finite number' },
+  string: { test: v => typeof v === 'string', name: 'a string' },
+  boolean: { test: v => typeof v === 'boolean', name: 'a boolean' },
+  function: { test: v => typeof v === 'function', name: 'a function' },
+  object: { test: v => v !== null && typeof v === 'object' && !Array.isArray(v), name: 'an object' },
+  array: { test: Array.isArray, name: 'an array' },
+  hex: { test: v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v), name: 'a #RRGGBB hex color' },
+};
+
+const unit = { type: 'number', min: 0, max: 1 };
+const ticks = { type: 'number', integer: true, min: 2 };
+const minorTicks = { type: 'number', integer: true, min: 0 };
+
+// Colors interpolated per pixel, so they have to be parseable hex
+const gradient = {
+  type: 'array',
+  items: {
+    type: 'object', required: true,
+    keys: { at: { ...unit, required: true }, color: { type: 'hex', required: true } },
+  },
+};
+
+// Zones run start → end; a wrapping scale allows end < start across the seam
+const zone = (wrap) => ({
+  type: 'object', required: true,
+  keys: {
+    start: { type: 'number', required: true },
+    end: { type: 'number', required: true },
+    color: 'string', offset: 'number', width: 'number', hysteresis: { type: 'number', min: 0 },
+  },
+  check: z => !wrap && z.end < z.start && ['end', `a number ≥ start (${z.start})`],
+});
+
+// min below max, with defaults for either side
+const range = (defaultMin, defaultMax) => item => {
+  const min = item.min != null ? item.min : defaultMin;
+  const max = item.max != null ? item.max : defaultMax;
+  return typeof min === 'number' && typeof max === 'number' && min >= max &&
+    ['max', `a number greater than min (${min})`];
+};
+
+const digitalDisplay = {
+  type: 'object',
+  keys: {
+    show: 'boolean', y: 'number', fontSize: 'number', color: 'string',
+    background: 'boolean', showUnits: 'boolean', format: ['number', 'object', 'function'],
+    unitsColor: 'string', unitsFontSize: 'number',
+  },
+};
+
+const text = {
+  type: 'object', required: true,
+  keys: {
+    text: { type: 'string', required: true },
+    x: 'number', y: 'number', color: 'string', font: 'string', fontSize: 'number',
+  },
+};
+
+// A theme gradient stop: a color, or { at, color } to place it
+const stop = {
+  type: ['string', 'object'], required: true,
+  keys: { at: { ...unit, required: true }, color: { type: 'string', required: true } },
+};
+
+// Any theme key; values may also be strings (var(), or a CSS stop list)
+const colors = {
+  type: 'object',
+  keys: Object.fromEntries(Object.entries(themes.light).map(([key, value]) => [key,
+    Array.isArray(value) ? { type: ['array', 'string'], items: stop }
+      : typeof value === 'number' ? ['number', 'string']
+      : typeof value === 'boolean' ? 'boolean'
+      : 'string',
+  ])),
+};
+
+const filters = {
+  type: 'array',
+  items: {
+    type: 'object', required: true,
+    keys: {
+      type: { type: 'string', values: ['lowpass', 'median', 'deadband', 'rate', 'outlier'], required: true },
+      alpha: unit, timeConstant: { type: 'number', min: 0 },
+      size: { type: 'number', integer: true, min: 1 }, window: { type: 'number', integer: true, min: 1 },
+      width: { type: 'number', min: 0 }, max: { type: 'number', min: 0 }, maxDeviation: { type: 'number', min: 0 },
+    },
+  },
+};
+
+const threshold = {
+  type: 'object', required: true,
+  keys: { id: ['string', 'number'], above: 'number', below: 'number', hysteresis: { type: 'number', min: 0 } },
+  check: t => t.above == null && t.below == null && ['above', 'a number (or below)'],
+};
+
+const lamp = {
+  type: 'object', required: true,
+  keys: {
+    id: { type: 'string', required: true }, icon: 'string', label: 'string',
+    x: 'number', y: 'number', size: { type: 'number', min: 0 },
+    color: 'string', offColor: 'string', blinkRate: { type: 'number', min: 0 },
+    state: { type: 'string', values: ['off', 'on', 'blink'] },
+  },
+};
+
+function schema(config) {
+  const zones = { type: 'array', items: zone(!!config.wrap) };
+  return {
+    min: 'number',
+    max: 'number',
+    units: 'string',
+    label: 'string',
+    labelFontSize: 'number',
+    majorTicks: ticks,
+    minorTicks,
+    microTicks: 'object',
+    customLabels: { type: 'array', items: 'string' },
+    format: ['number', 'object', 'function'],
+    scale: { type: ['string', 'object'], values: ['linear', 'log'], keys: { breakpoints: { type: 'array', required: true } } },
+    startAngle: 'number',
+    endAngle: 'number',
+    wrap: 'boolean',
+    geometry: { type: 'string', values: ['circular', 'linear'] },
+    orientation: { type: 'string', values: ['vertical', 'horizontal'] },
+    indicator: { type: 'string', values: ['fill', 'pointer', 'both'] },
+    stiffness: { type: 'number', min: 0 },
+    damping: { type: 'number', min: 0 },
+    maxVelocity: { type: 'number', min: 0 },
+    maxAccel: { type: 'number', min: 0 },
+    faceStyle: { type: 'string', values: ['light', 'dark', 'auto'] },
+    theme: ['string', 'object'],
+    colors,
+    zones,
+    redlineStart: 'number',
+    dangerStart: 'number',
+    showDigitalValue: 'boolean',
+    digitalDisplay,
+    texts: { type: 'array', items: text },
+    activeTicks: 'object',
+    needleGlow: 'boolean',
+    progressArc: { type: 'object', keys: { gradient }, open: true },
+    peakHold: ['boolean', 'object'],
+    innerRing: 'object',
+    needles: { type: 'array', items: { type: 'object', required: true, open: true, keys: { filters } } },
+    rings: {
+      type: 'array',
+      items: {
+        type: 'object', required: true, open: true,
+        keys: { min: 'number', max: 'number', gradient, segments: { type: 'number', integer: true, min: 1 }, filters },
+        check: range(0, config.max),
+      },
+    },
+    complications: {
+      type: 'array',
+      items: {
+        type: 'object', required: true, open: true,
+        keys: {
+          type: { type: 'string', values: ['arc', 'dial', 'digital', 'bar', 'text', 'sparkline'] },
+          x: 'number', y: 'number', min: 'number', max: 'number',
+          majorTicks: ticks, minorTicks, zones: { type: 'array', items: zone(false) }, filters,
+        },
+        check: comp => comp.type !== 'sparkline' && range(0, 1)(comp),
+      },
+    },
+    lamps: { type: 'array', items: lamp },
+    showOdometer: 'boolean',
+    odometer: ['boolean', 'object'],
+    clock: ['boolean', 'object'],
+    thresholds: { type: 'array', items: threshold },
+    zoneHysteresis: { type: 'number', min: 0 },
+    filters,
+    eventSource: { type: 'string', values: ['target', 'needle'] },
+    onDraw: 'function',
+    worker: ['boolean', 'string'],
+    validate: { type: ['string', 'boolean'], values: ['strict', 'warn', false] },
+  };
+}
+
+/**
+ * Check a gauge config against the schema: top-level keys, colors, zones,
+ * rings, complications, texts, digitalDisplay, thresholds, lamps and filters. Each problem is reported with its
+ * path, what was expected and what was found, e.g.
+ * "zones[1].end: expected a number ≥ start (80), got 60".
+ *
+ * @param {string|object} config  Preset name or config object (a `preset`
+ *   key is expanded first)
+ * @param {object} [options]
+ * @param {string} [options.mode]  'strict' throws a TypeError listing every
+ *   problem (with the list as `error.issues`); 'warn' logs each one; without
+ *   a mode they are only returned
+ * @returns {{ path: string, expected: string, got: string, message: string }[]}
+ */
+export function validateConfig(config, options = {}) {
+  const resolved = { ...defaults, ...expandPreset(config) };
+  const issues = [];
+  // min === max leaves no sweep to map values onto
+  checkValue(resolved, { type: 'object', keys: schema(resolved), check: range() }, '', issues);
+
+  if (issues.length > 0 && options.mode === 'strict') {
+    const error = new TypeError(`Gauge: invalid config\n  ${issues.map(issue => issue.message).join('\n  ')}`);
+    error.issues = issues;
+    throw error;
+  }
+  if (options.mode === 'warn') {
+    for (const issue of issues) console.warn(`Gauge: ${issue.message}`);
+  }
+  return issues;
+}
+
+function checkValue(value, spec, path, issues) {
+  if (typeof spec === 'string' || Array.isArray(spec)) spec = { type: spec };
+  if (value == null) {
+    if (spec.required) report(issues, path, expectedType(spec), value);
+    return;
+  }
+
+  if (spec.values && typeof value !== 'object' && !spec.values.includes(value)) {
+    report(issues, path, `one of ${spec.values.map(describe).join(', ')}`, value);
+    return;
+  }
+  if (![].concat(spec.type).some(type => TYPES[type].test(value))) {
+    report(issues, path, expectedType(spec), value);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (spec.integer && !Number.isInteger(value)) return report(issues, path, 'an integer', value);
+    if (spec.min != null && value < spec.min) return report(issues, path, `a number ≥ ${spec.min}`, value);
+    if (spec.max != null && value > spec.max) return report(issues, path, `a number ≤ ${spec.max}`, value);
+  }
+  if (spec.keys && TYPES.object.test(value)) checkObject(value, spec.keys, path, issues, spec.open);
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, i) => checkValue(item, spec.items, `${path}[${i}]`, issues));
+  }
+
+  const problem = spec.check && spec.check(value);
+  if (problem) report(issues, join(path, problem[0]), problem[1], value[problem[0]]);
+}
+
+function checkObject(object, keys, path, issues, open) {
+  for (const [key, spec] of Object.entries(keys)) {
+    checkValue(object[key], spec, join(path, key), issues);
+  }
+  if (open) return;
+  for (const key of Object.keys(object)) {
+    if (object[key] !== undefined && !key.startsWith('_') && !(key in keys)) issues.push(issue(join(path, key), 'a known key', 'an unknown key'));
+  }
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function expectedType(spec) {
+  return [].concat(spec.type).map(type => TYPES[type].name).join(' or ');
+}
+
+function report(issues, path, expected, value) {
+  issues.push(issue(path, expected, describe(value)));
+}
+
+function issue(path, expected, got) {
+  return { path, expected, got, message: `${path}: expected ${expected}, got ${got}` };
+}
+
+function describe(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'function') return 'a function';
+  if (Array.isArray(value)) return 'an array';
+  if (value && typeof value === 'object') return 'an object';
+  return String(value);
+}
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Binding from '../src/Binding.js';
+
+// Records setter calls in place of a Gauge
+function mockGauge() {
+  return {
+    values: [],
+    setValue(v) { this.values.push(v); },
+    setNeedleValue() {},
+    setRingValue() {},
+    setComplicationValue() {},
+    setLamp() {},
+  };
+}
+
+// Collects binding events; next(name) resolves on the next event of that name
+function recorder() {
+  const events = [];
+  const waiting = [];
+  const emit = (name, detail) => {
+    events.push([name, detail]);
+    for (const w of waiting.filter(w => w.name === name)) {
+      waiting.splice(waiting.indexOf(w), 1);
+      w.resolve(detail);
+    }
+  };
+  const next = (name) => new Promise(resolve => waiting.push({ name, resolve }));
+  return { events, emit, next };
+}
+
+// Async iterator whose messages are pushed by the test
+function controlledSource() {
+  const queue = [];
+  let wake = null;
+  const source = {
+    closed: false,
+    push(value) {
+      queue.push(value);
+      if (wake) wake();
+    },
+    [Symbol.asyncIterator]() {
+      return {
+        next: async () => {
+          while (!queue.length && !source.closed) await new Promise(resolve => { wake = resolve; });
+          return source.closed ? { done: true } : { value: queue.shift(), done: false };
+        },
+        return: async () => {
+          source.closed = true;
+          if (wake) wake();
+          throw new Error('close failed');
+        },
+      };
+    },
+  };
+  return source;
+}
+
+test('values flow from an async iterable to the gauge', async () => {
+  const gauge = mockGauge();
+  const { emit, next } = recorder();
+  async function* readings() {
+    yield { speed: 10 };
+    yield '{"speed": 20}';
+    yield { other: 1 };
+  }
+
+  const ended = next('gauge:disconnect');
+  new Binding(gauge, readings(), { value: 'speed' }, emit);
+  assert.deepEqual(await ended, { error: null });
+  assert.deepEqual(gauge.values, [10, 20]);
+});
+
+test('a message that fails to parse is reported and the stream continues', async () => {
+  const gauge = mockGauge();
+  const { emit, next } = recorder();
+  const errors = [];
+  async function* readings() {
+    yield '1';
+    yield 'bad';
+    yield '3';
+  }
+  const parse = (payload) => {
+    if (payload === 'bad') throw new SyntaxError('unparseable');
+    return Number(payload);
+  };
+
+  const ended = next('gauge:disconnect');
+  new Binding(gauge, readings(), { parse, onError: (error, payload) => errors.push([error.message, payload]) }, emit);
+  assert.deepEqual(await ended, { error: null });
+  assert.deepEqual(gauge.values, [1, 3]);
+  assert.deepEqual(errors, [['unparseable', 'bad']]);
+});
+
+test('a throwing setter does not disconnect the source', async () => {
+  const gauge = mockGauge();
+  gauge.setValue = function (v) {
+    if (v === 2) throw new RangeError('rejected');
+    this.values.push(v);
+  };
+  const { events, emit, next } = recorder();
+  const errors = [];
+  async function* readings() {
+    yield 1;
+    yield 2;
+    yield 3;
+  }
+
+  const ended = next('gauge:disconnect');
+  new Binding(gauge, readings(), { reconnect: { delay: 1 }, onError: error => errors.push(error.message) }, emit);
+  await ended;
+  assert.deepEqual(gauge.values, [1, 3]);
+  assert.deepEqual(errors, ['rejected']);
+  assert.equal(events.filter(([name]) => name === 'gauge:disconnect').length, 1);
+});
+
+test('a factory source is called again to reconnect', async () => {
+  const gauge = mockGauge();
+  const { emit, next } = recorder();
+  let calls = 0;
+  const open = () => {
+    calls++;
+    const first = calls === 1;
+    return (async function* () {
+      yield first ? 1 : 2;
+      if (first) throw new Error('connection lost');
+    })();
+  };
+
+  const lost = next('gauge:disconnect');
+  const binding = new Binding(gauge, open, { reconnect: { delay: 1 } }, emit);
+  assert.equal((await lost).error.message, 'connection lost');
+  assert.deepEqual(await next('gauge:reconnect'), { attempt: 1 });
+  await next('gauge:disconnect');
+  binding.unbind();
+
+  assert.equal(calls, 2);
+  assert.deepEqual(gauge.values, [1, 2]);
+});
+
+test('an exhausted async generator is not reconnected', async () => {
+  const { events, emit, next } = recorder();
+  async function* readings() {
+    yield 1;
+  }
+
+  const ended = next('gauge:disconnect');
+  const binding = new Binding(mockGauge(), readings(), { reconnect: { delay: 1 } }, emit);
+  await ended;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  binding.unbind();
+  assert.deepEqual(events.map(([name]) => name), ['gauge:disconnect']);
+});
+
+test('unbind stops the stream and closes the iterator', async () => {
+  const gauge = mockGauge();
+  const { events, emit } = recorder();
+  const source = controlledSource();
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  const binding = new Binding(gauge, source, {}, emit);
+  source.push(1);
+  await tick();
+  binding.unbind();
+  source.push(2);
+  await tick();
+
+  assert.equal(binding.active, false);
+  assert.equal(source.closed, true);  // iterator.return() was called; its rejection is handled
+  assert.deepEqual(gauge.values, [1]);
+  assert.deepEqual(events, []);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just enough DOM for the element's constructor and attribute reads
+globalThis.HTMLElement = class {
+  constructor() { this._attributes = new Map(); }
+  attachShadow() { return { append() {} }; }
+  getAttribute(name) { return this._attributes.has(name) ? this._attributes.get(name) : null; }
+  hasAttribute(name) { return this._attributes.has(name); }
+  setAttribute(name, value) {
+    const old = this.getAttribute(name);
+    this._attributes.set(name, String(value));
+    this.attributeChangedCallback(name, old, String(value));
+  }
+  addEventListener() {}
+};
+globalThis.document = { createElement: () => new globalThis.HTMLElement() };
+
+const { default: GaugeElement } = await import('../src/GaugeElement.js');
+const { effectiveZones } = await import('../src/config.js');
+
+// Gauge stand-in whose setConfig merges like the real one
+function fakeGauge(config) {
+  return {
+    config,
+    setConfig(partial) { this.config = { ...this.config, ...partial }; },
+  };
+}
+
+test('switching presets drops keys the old preset set', () => {
+  const element = new GaugeElement();
+  element._attributes.set('preset', 'rpm');
+  element._gauge = fakeGauge(element._buildConfig());
+  assert.equal(element._gauge.config.redlineStart, 60);
+
+  element.setAttribute('preset', 'temp');
+  const config = element._gauge.config;
+  assert.equal(config.redlineStart, undefined);
+  assert.equal(config.max, 250);
+  assert.deepEqual(effectiveZones(config), [{ start: 220, end: 250 }]);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Minimal document: a visibility state and its change listeners
+const listeners = new Set();
+globalThis.document = {
+  visibilityState: 'visible',
+  addEventListener: (type, listener) => listeners.add(listener),
+  removeEventListener: (type, listener) => listeners.delete(listener),
+};
+const setPageHidden = (hidden) => {
+  document.visibilityState = hidden ? 'hidden' : 'visible';
+  for (const listener of listeners) listener();
+};
+
+const { default: scheduler } = await import('../src/Scheduler.js');
+
+// Gauge stand-in recording what the scheduler tells it, like a worker-mode
+// proxy relaying _setVisible to its worker
+function fakeGauge() {
+  return {
+    _element: null,
+    _isVisible: true,
+    visible: [],
+    pauses: 0,
+    _setVisible(visible) { this._isVisible = visible; this.visible.push(visible); },
+    _pause() { this.pauses++; },
+    _render() {},
+    _isIdle: () => true,
+  };
+}
+
+test('hiding and showing the tab goes through _setVisible', () => {
+  const gauge = fakeGauge();
+  scheduler.add(gauge);
+
+  setPageHidden(true);
+  assert.deepEqual(gauge.visible, [false]);
+  assert.equal(gauge.pauses, 1);
+
+  setPageHidden(false);
+  assert.deepEqual(gauge.visible, [false, true]);
+
+  scheduler.remove(gauge);
+});
+
+test('a gauge that throws while drawing does not stop the others', async (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const broken = { ...fakeGauge(), _render() { throw new Error('onDraw failed'); } };
+  const healthy = { ...fakeGauge(), frames: 0, _render() { this.frames++; }, _isIdle() { return this.frames >= 3; } };
+  scheduler.add(broken);
+  scheduler.add(healthy);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(healthy.frames, 3);
+  assert.equal(error.mock.callCount(), 1);
+
+  scheduler.remove(broken);
+  scheduler.remove(healthy);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ThresholdTracker from '../src/ThresholdTracker.js';
+
+// Values hovering on a line at 80: just above, just below, repeatedly
+const JITTER = [79, 80.5, 79.5, 80.2, 79.8, 80.4, 79.6];
+
+function track(update) {
+  const events = [];
+  const tracker = new ThresholdTracker((name, detail) => events.push(detail.active ?? name));
+  update(tracker);
+  return events;
+}
+
+test('threshold hysteresis stops chatter on the line', () => {
+  const thresholds = [{ id: 'hot', above: 80, hysteresis: 2 }];
+  const events = track(tracker => {
+    for (const value of [...JITTER, 77]) tracker.update(value, [], thresholds);
+  });
+  assert.deepEqual(events, [true, false]);
+});
+
+test('zone hysteresis stops enter/exit chatter on the boundary', () => {
+  const zones = [{ start: 80, end: 100, hysteresis: 2 }];
+  const events = track(tracker => {
+    for (const value of [...JITTER, 77]) tracker.update(value, zones, []);
+  });
+  assert.deepEqual(events, ['gauge:zoneenter', 'gauge:zoneexit']);
+});
+
+test('zones without their own hysteresis use the gauge default', () => {
+  const zones = [{ start: 80, end: 100 }];
+  const chatter = track(tracker => {
+    for (const value of JITTER) tracker.update(value, zones, []);
+  });
+  assert.equal(chatter.length, JITTER.length - 1);
+
+  const steady = track(tracker => {
+    for (const value of JITTER) tracker.update(value, zones, [], false, 1);
+  });
+  assert.deepEqual(steady, ['gauge:zoneenter']);
+});
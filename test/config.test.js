@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConfig, expandPreset } from '../src/config.js';
+import { defaults, presets } from '../src/presets.js';
+
+test('a missing config resolves to the defaults', () => {
+  assert.deepEqual(expandPreset(undefined), {});
+  assert.deepEqual(expandPreset(null), {});
+  assert.equal(resolveConfig(undefined).max, defaults.max);
+  assert.equal(resolveConfig(null).max, defaults.max);
+});
+
+test('a preset key is merged under its overrides', () => {
+  const config = expandPreset({ preset: 'speed', max: 260, colors: { needle: '#00AAFF' } });
+  assert.equal(config.max, 260);
+  assert.equal(config.label, presets.speed.label);
+  assert.equal(config.colors.needle, '#00AAFF');
+  assert.equal('preset' in config, false);
+});
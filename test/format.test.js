@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFormatter } from '../src/format.js';
+
+test('decimals give way to a fraction-digit bound set in options', () => {
+  assert.equal(createFormatter({ decimals: 3, options: { maximumFractionDigits: 1 } })(1.2345), '1.2');
+  assert.equal(createFormatter({ decimals: 0, options: { minimumFractionDigits: 2 } })(1.5), '1.50');
+});
+
+test('an invalid locale falls back to the default with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const format = createFormatter({ decimals: 1, locale: 'not a locale!' });
+  assert.equal(format(2.25), new Intl.NumberFormat(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(2.25));
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('options Intl rejects fall back to plain decimals', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(createFormatter({ decimals: 2, options: { style: 'currency' } })(3), '3.00');
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Gauge from '../src/Gauge.js';
+
+// Worker-host mode needs no DOM; at size 0 nothing is drawn
+const host = () => ({ canvas: { getContext: () => null }, size: 0, dpi: 1, reducedMotion: false, onAriaLabel() {} });
+
+test('min hold follows a value dropping below the first sample', (t) => {
+  const gauge = new Gauge(new EventTarget(), { min: 0, max: 100, peakHold: { max: true, min: true } }, host());
+  t.after(() => gauge.destroy());
+  gauge.setValue(80);
+  gauge.setValue(30);
+  assert.deepEqual(gauge.getPeak(), { max: 80, min: 30 });
+
+  gauge.setValue(50);
+  assert.deepEqual(gauge.getPeak(), { max: 80, min: 30 });
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTheme, themes } from '../src/themes.js';
+
+test('shaded colors from rgb() and CSS vars resolve to hex', () => {
+  const colors = resolveTheme({
+    colors: { face: 'rgb(20, 30, 40)', needle: 'var(--accent)', progressArc: ['#00F', 'rgba(255, 0, 0, 0.5)'] },
+    _themeVars: { '--accent': '#abc' },
+  });
+  assert.equal(colors.face, '#141E28');
+  assert.equal(colors.needle, '#aabbcc');
+  assert.deepEqual(colors.progressArc, ['#0000FF', '#FF0000']);
+});
+
+test('named shaded colors fall back to the theme with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const colors = resolveTheme({ faceStyle: 'dark', colors: { face: 'navy', ticks: 'navy' } });
+  assert.equal(colors.face, themes.dark.face);
+  assert.equal(colors.ticks, 'navy');
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('ring gradient and flash come from the theme and CSS vars', () => {
+  const colors = resolveTheme({ _themeVars: { '--gauge-ring-gradient': '#123, rgb(0, 0, 255)', '--gauge-ring-flash': 'orange' } });
+  assert.deepEqual(colors.ringGradient, ['#112233', '#0000FF']);
+  assert.equal(colors.ringFlash, 'orange');
+  assert.deepEqual(colors.vignette, themes.light.vignette);
+});
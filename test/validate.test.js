@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig } from '../src/validate.js';
+import { presets } from '../src/presets.js';
+
+const paths = (config) => validateConfig(config).map(issue => issue.path);
+
+test('built-in presets are valid', () => {
+  for (const name of Object.keys(presets)) assert.deepEqual(paths(name), [], name);
+});
+
+test('threshold, filter, lamp and color entries are checked', () => {
+  assert.deepEqual(paths({
+    thresholds: [{ above: 'x' }, { id: 'cold' }],
+    filters: [{ type: 'nope' }],
+    lamps: [{ id: 'oil', state: 'lit' }],
+    rings: [{ filters: [{ type: 'median', size: 0 }] }],
+    colors: { face: 3, bogus: '#FFFFFF' },
+  }), [
+    'colors.face',
+    'colors.bogus',
+    'rings[0].filters[0].size',
+    'lamps[0].state',
+    'thresholds[0].above',
+    'thresholds[1].above',
+    'filters[0].type',
+  ]);
+});
+
+test('keys set to undefined are not reported as unknown', () => {
+  assert.deepEqual(paths({ preset: undefined, colors: { face: undefined } }), []);
+});
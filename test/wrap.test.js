@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import NeedlePhysics from '../src/NeedlePhysics.js';
+import GaugeRenderer from '../src/GaugeRenderer.js';
+import { resolveConfig } from '../src/config.js';
+import { valueToAngle } from '../src/scale.js';
+
+const config = resolveConfig({
+  ...resolveConfig('compass'),
+  activeTicks: { color: '#FF8800' },
+  progressArc: { width: 0.04 },
+});
+const angleOf = (value) => valueToAngle(config, config._scale, value);
+const origin = (config.startAngle - 90) * Math.PI / 180;
+const period = 2 * Math.PI;
+
+// Animate a needle from 350 to 10, the short way across the seam
+function settleAcrossSeam() {
+  const physics = new NeedlePhysics(config);
+  physics.setTarget(angleOf(350), true);
+  physics.setTarget(angleOf(10));
+
+  const angles = [];
+  for (let time = 0; time <= 5000; time += 16) angles.push(physics.update(time));
+  physics.destroy();
+  return { physics, angles };
+}
+
+// 2D context stand-in that records strokes and ignores everything else
+function recordingContext() {
+  const strokes = [];
+  const ctx = new Proxy({}, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === 'stroke') return () => strokes.push(target.strokeStyle);
+      return () => {};
+    },
+  });
+  return { ctx, strokes };
+}
+
+test('a wrapping needle stays within the dial after crossing the seam', () => {
+  const { physics, angles } = settleAcrossSeam();
+
+  assert.ok(angles.every(a => a >= origin && a < origin + period), 'angle re-based into the sweep');
+  // The short way: it never strays far from the seam (allowing overshoot)
+  const margin = 40 * Math.PI / 180;
+  assert.ok(angles.every(a => a < origin + margin || a > origin + period - margin));
+  assert.ok(Math.abs(physics.angle - angleOf(10)) < 0.001);
+  assert.ok(Math.abs(physics.targetAngle - angleOf(10)) < 1e-9);
+  assert.ok(physics.isSettled());
+});
+
+test('active ticks and the progress arc follow the needle after a 350 → 10 wrap', () => {
+  const { physics } = settleAcrossSeam();
+  const renderer = new GaugeRenderer(200, 1, config, { cacheStatic: false });
+
+  // Ticks at 0° and 5° are lit (10° too once the needle is fully onto it),
+  // not the whole dial
+  const { ctx, strokes } = recordingContext();
+  renderer.drawActiveTicks(ctx, 100, 100, physics.angle, config);
+  assert.ok(strokes.length >= 2 && strokes.length <= 3, `${strokes.length} ticks lit`);
+
+  // The arc fills to 10°, not to the end of the sweep
+  let fillEnd = null;
+  renderer._drawGradientArc = (c, cx, cy, r, w, from, to) => { fillEnd = to; };
+  renderer.drawProgressArc(recordingContext().ctx, 100, 100, physics.angle, config);
+  assert.ok(Math.abs(fillEnd - angleOf(10)) < 0.001);
+});
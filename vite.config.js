@@ -3,6 +3,8 @@ import { resolve } from 'path';
 import { fileURLToPath, URL } from 'node:url';
 
 export default defineConfig({
+  // Relative asset URLs so the bundled worker (gauge.worker.js) resolves next to the library
+  base: './',
   server: {
     port: 3000,
     host: true,
@@ -14,4 +16,7 @@ export default defineConfig({
       fileName: 'canvas-gauge',
     },
   },
+  worker: {
+    format: 'es',
+  },
 });